@@ -0,0 +1,115 @@
+// achievements.js
+// Badges unlocked by uploads and focus sessions. Each badge is a check
+// against progress derived from the uploads and sessions tables, so
+// evaluate() can run at any time (after an upload, after a timer, or as a
+// backfill) and only ever unlocks what was earned. Unlock times are stored
+// per user; a badge is never taken away again.
+const { localTime } = require('./dates');
+
+// Early-bird sessions start in this local window and last long enough to count
+const EARLY_BIRD_FROM = '04:00';
+const EARLY_BIRD_UNTIL = '08:00';
+const EARLY_BIRD_MIN_MS = 15 * 60 * 1000;
+
+const ACHIEVEMENTS = [
+    {
+        id: 'first-sketch',
+        icon: '🎨',
+        title: 'First Sketch',
+        description: 'Upload your first sketch',
+        check: (p) => p.totalUploads >= 1
+    },
+    {
+        id: 'streak-7',
+        icon: '🔥',
+        title: 'One Week Streak',
+        description: 'Sketch 7 days in a row',
+        check: (p) => p.longestStreak >= 7
+    },
+    {
+        id: 'streak-30',
+        icon: '🌟',
+        title: 'Thirty Day Streak',
+        description: 'Sketch 30 days in a row',
+        check: (p) => p.longestStreak >= 30
+    },
+    {
+        id: 'streak-100',
+        icon: '💯',
+        title: 'Hundred Day Streak',
+        description: 'Sketch 100 days in a row',
+        check: (p) => p.longestStreak >= 100
+    },
+    {
+        id: 'focus-10h',
+        icon: '⏱️',
+        title: 'Ten Hours of Focus',
+        description: 'Spend 10 hours in focus sessions',
+        check: (p) => p.focusMinutes >= 600
+    },
+    {
+        id: 'early-bird',
+        icon: '🌅',
+        title: 'Early Bird',
+        description: 'Focus for 15 minutes or more in a session started before 8 am',
+        check: (p) => p.earlyBirdSessions >= 1
+    }
+];
+
+// Raw rows from db.getAchievementProgress -> the numbers the checks use
+function summarize({ timeZone, totalUploads, longestStreak, sessions }) {
+    let focusedMs = 0;
+    let earlyBirdSessions = 0;
+    for (const session of sessions) {
+        focusedMs += session.focusedMs;
+        const time = localTime(timeZone, session.startedAt);
+        if (time >= EARLY_BIRD_FROM && time < EARLY_BIRD_UNTIL && session.focusedMs >= EARLY_BIRD_MIN_MS) {
+            earlyBirdSessions++;
+        }
+    }
+    return {
+        totalUploads,
+        longestStreak,
+        focusMinutes: Math.floor(focusedMs / 60000),
+        earlyBirdSessions
+    };
+}
+
+function describe(achievement, unlockedAt = null) {
+    const { id, icon, title, description } = achievement;
+    return { id, icon, title, description, unlockedAt };
+}
+
+// db: { getAchievementProgress, getUnlockedAchievements, unlockAchievement }
+function createAchievements({ db }) {
+    // Unlock everything newly earned; returns just those badges
+    async function evaluate(userId) {
+        const unlocked = new Set((await db.getUnlockedAchievements(userId)).map((row) => row.achievementId));
+        const pending = ACHIEVEMENTS.filter((achievement) => !unlocked.has(achievement.id));
+        if (!pending.length) return [];
+
+        const progress = summarize(await db.getAchievementProgress(userId));
+        const earned = [];
+        for (const achievement of pending) {
+            if (!achievement.check(progress)) continue;
+            // false if a concurrent evaluation got there first
+            const unlockedAt = await db.unlockAchievement(userId, achievement.id);
+            if (unlockedAt) earned.push(describe(achievement, unlockedAt));
+        }
+        return earned;
+    }
+
+    // Every badge, with unlockedAt set for the ones the user has
+    async function list(userId) {
+        const unlocked = new Map((await db.getUnlockedAchievements(userId))
+            .map((row) => [row.achievementId, row.unlockedAt]));
+        return ACHIEVEMENTS.map((achievement) => describe(achievement, unlocked.get(achievement.id) || null));
+    }
+
+    return { evaluate, list };
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    createAchievements
+};
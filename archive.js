@@ -0,0 +1,398 @@
+// archive.js
+// A user's whole history as a ZIP, for taking it elsewhere:
+//   data.json     settings, stats, uploads, sessions, achievements, challenges
+//   uploads.csv   one row per sketch, for spreadsheets
+//   sessions.csv  one row per focus session
+//   sketches/     the original images, named by content hash
+// Importing checks the entire archive before anything is written, then
+// merges it into the target account (see db.importUserData for how
+// conflicts are resolved), so the same archive can be imported twice.
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { isValidTimeZone, localDate } = require('./dates');
+const { WEEKDAYS } = require('./streaks');
+const { ACHIEVEMENTS } = require('./achievements');
+const { ImageError, processImage } = require('./images');
+const { DetailsError, parseDetails } = require('./details');
+
+const FORMAT = 'sketch-time-export';
+const VERSION = 1;
+
+const SOURCES = ['web', 'telegram'];
+const OUTCOMES = ['completed', 'uploaded', 'cancelled', 'expired'];
+const CHALLENGE_STATUSES = ['active', 'completed', 'left'];
+
+// Validation stops collecting after this many problems
+const MAX_PROBLEMS = 20;
+
+class ArchiveError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'ArchiveError';
+        this.problems = problems;
+    }
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    for (const row of rows) lines.push(columns.map((column) => csvCell(row[column])).join(','));
+    return lines.join('\r\n') + '\r\n';
+}
+
+function parseTime(value) {
+    const time = typeof value === 'string' ? new Date(value) : null;
+    return time && !isNaN(time) ? time : null;
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isDay = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// db: { getUserExport, getUserStats, importUserData }
+// ensureStored(sketch): storage key of a sketch's original (gallery.ensureStored)
+// maxUnpackedBytes guards imports against archives that inflate to huge sizes.
+// An import is held in memory while it is checked, and sketches barely
+// compress, so it only needs to be a little above the archive size limit.
+// maxDimension is passed to images.processImage like for uploads
+function createArchive({ db, storage, ensureStored, maxDimension, maxUnpackedBytes = 64 * 1024 * 1024 }) {
+    // Returns { buffer, fileName, sketches, sessions, missing }; sketches
+    // whose image can't be read are listed with file: null
+    async function exportUser(userId) {
+        const data = await db.getUserExport(userId);
+        const stats = await db.getUserStats(userId);
+        const zip = new AdmZip();
+        const added = new Set();
+        let missing = 0;
+
+        const uploads = [];
+        for (const sketch of data.uploads) {
+            let file = null;
+            try {
+                const key = await ensureStored(sketch);
+                file = `sketches/${path.posix.basename(key)}`;
+                if (!added.has(file)) {
+                    zip.addFile(file, await storage.get(key));
+                    added.add(file);
+                }
+            } catch (err) {
+                console.error(`Export: image of sketch ${sketch.id} unavailable:`, err.message);
+                file = null;
+                missing++;
+            }
+            uploads.push({
+                id: sketch.id,
+                createdAt: sketch.createdAt.toISOString(),
+                date: localDate(stats.timeZone, sketch.createdAt),
+                source: sketch.source,
+                mimeType: sketch.mimeType,
+                sizeBytes: sketch.sizeBytes,
+                width: sketch.width,
+                height: sketch.height,
+                caption: sketch.caption,
+                medium: sketch.medium,
+                tags: sketch.tags,
+                file
+            });
+        }
+
+        const sessions = data.sessions.map((session) => ({
+            id: session.id,
+            startedAt: session.startedAt.toISOString(),
+            endedAt: session.endedAt ? session.endedAt.toISOString() : null,
+            date: localDate(stats.timeZone, session.startedAt),
+            plannedMinutes: session.plannedMinutes,
+            focusedMs: session.focusedMs,
+            pausedMs: session.pausedMs,
+            pauseCount: session.pauseCount,
+            outcome: session.outcome,
+            uploadId: session.uploadId
+        }));
+
+        const exportedAt = new Date();
+        const { recentHistory, ...summary } = stats;
+        const document = {
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: exportedAt.toISOString(),
+            userId,
+            settings: data.settings,
+            stats: summary,
+            uploads,
+            sessions,
+            achievements: data.achievements,
+            challenges: data.challenges
+        };
+
+        zip.addFile('data.json', Buffer.from(JSON.stringify(document, null, 2)));
+        zip.addFile('uploads.csv', Buffer.from(toCsv(
+            ['id', 'createdAt', 'date', 'source', 'mimeType', 'sizeBytes', 'width', 'height', 'caption', 'medium', 'tags', 'file'],
+            uploads.map((upload) => ({ ...upload, tags: upload.tags.join(' ') }))
+        )));
+        zip.addFile('sessions.csv', Buffer.from(toCsv(
+            ['id', 'startedAt', 'endedAt', 'date', 'plannedMinutes', 'focusedMs', 'pausedMs', 'pauseCount', 'outcome', 'uploadId'],
+            sessions
+        )));
+
+        return {
+            buffer: zip.toBuffer(),
+            fileName: `sketch-time-${localDate(stats.timeZone, exportedAt)}.zip`,
+            sketches: uploads.length,
+            sessions: sessions.length,
+            missing
+        };
+    }
+
+    // -> { entries, read(entry) }. The sizes in the ZIP headers are only
+    // what the archive claims, so they are checked up front and read()
+    // also counts what each entry really inflates to, stopping once the
+    // import as a whole goes past maxUnpackedBytes.
+    function openZip(buffer) {
+        let zip;
+        try {
+            zip = new AdmZip(buffer);
+        } catch (err) {
+            throw new ArchiveError('Not a ZIP archive');
+        }
+        const entries = new Map();
+        let declared = 0;
+        for (const entry of zip.getEntries()) {
+            declared += entry.header.size;
+            if (!entry.isDirectory) entries.set(entry.entryName, entry);
+        }
+        if (declared > maxUnpackedBytes) throw new ArchiveError('Archive is too large to import');
+
+        let left = maxUnpackedBytes;
+        function read(entry) {
+            const { method, encrypted, crc } = entry.header;
+            if (encrypted) throw new ArchiveError(`${entry.entryName} is encrypted`);
+            let raw;
+            try {
+                raw = entry.getCompressedData();
+            } catch (err) {
+                throw new ArchiveError(`${entry.entryName} is corrupt`);
+            }
+            let data;
+            if (method === 0) {
+                data = raw;
+                if (data.length > left) throw new ArchiveError('Archive is too large to import');
+            } else if (method === 8) {
+                try {
+                    data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(left, 1) });
+                } catch (err) {
+                    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new ArchiveError('Archive is too large to import');
+                    throw new ArchiveError(`${entry.entryName} is corrupt`);
+                }
+                if (data.length > left) throw new ArchiveError('Archive is too large to import');
+            } else {
+                throw new ArchiveError(`${entry.entryName} uses an unsupported compression method`);
+            }
+            if (zlib.crc32(data) !== crc) throw new ArchiveError(`${entry.entryName} is corrupt`);
+            left -= data.length;
+            return data;
+        }
+        return { entries, read };
+    }
+
+    function readDocument({ entries, read }) {
+        const entry = entries.get('data.json');
+        if (!entry) throw new ArchiveError('data.json is missing; is this an export from /export?');
+        const text = read(entry).toString('utf8');
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (err) {
+            throw new ArchiveError('data.json is not valid JSON');
+        }
+        if (!document || document.format !== FORMAT) throw new ArchiveError('data.json is not a sketch export');
+        if (document.version !== VERSION) throw new ArchiveError(`Unsupported export version ${document.version}`);
+        return document;
+    }
+
+    // data.json + images -> the shape db.importUserData takes, or an
+    // ArchiveError listing what is wrong. Images get the same checks and
+    // processing as uploads, so a corrupt file fails here rather than in
+    // the gallery. Sketches exported without an image (file: null) can't
+    // be restored; they are counted in missing.
+    async function validate({ entries, read }, document) {
+        const problems = [];
+        const problem = (message) => {
+            if (problems.length < MAX_PROBLEMS) problems.push(message);
+        };
+        const list = (name) => {
+            if (document[name] === undefined) return [];
+            if (Array.isArray(document[name])) return document[name];
+            problem(`${name} must be a list`);
+            return [];
+        };
+
+        if (document.settings != null && !isObject(document.settings)) problem('settings is not an object');
+        const settings = isObject(document.settings) ? document.settings : {};
+        const restDays = Array.isArray(settings.restDays) ? settings.restDays : [];
+        if (settings.timeZone && !isValidTimeZone(settings.timeZone)) problem(`Unknown time zone "${settings.timeZone}"`);
+        if (restDays.some((day) => !WEEKDAYS.includes(day))) problem('settings.restDays has unknown weekdays');
+        if (settings.reminderTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.reminderTime)) {
+            problem(`Invalid reminder time "${settings.reminderTime}"`);
+        }
+
+        const now = Date.now();
+        const uploads = [];
+        const refs = new Set();
+        let missing = 0;
+        for (const [index, upload] of list('uploads').entries()) {
+            const label = `uploads[${index}]`;
+            if (!isObject(upload)) {
+                problem(`${label} is not an object`);
+                continue;
+            }
+            const createdAt = parseTime(upload.createdAt);
+            if (!createdAt || createdAt.getTime() > now) problem(`${label}: invalid createdAt`);
+            if (refs.has(upload.id)) problem(`${label}: duplicate id ${upload.id}`);
+            refs.add(upload.id);
+            // exports from before captions and tags have none of the three
+            let details = {};
+            try {
+                details = parseDetails({ caption: upload.caption, medium: upload.medium, tags: upload.tags });
+            } catch (err) {
+                if (!(err instanceof DetailsError)) throw err;
+                problem(`${label}: ${err.message}`);
+            }
+            if (upload.file === null) {
+                missing++;
+                continue;
+            }
+
+            const entry = entries.get(upload.file);
+            if (!entry) {
+                problem(`${label}: ${upload.file} is not in the archive`);
+                continue;
+            }
+            let image;
+            try {
+                image = await processImage(read(entry), { maxDimension });
+            } catch (err) {
+                if (!(err instanceof ImageError)) throw err;
+                problem(`${label}: ${upload.file}: ${err.message}`);
+                continue;
+            }
+            uploads.push({
+                ref: upload.id,
+                createdAt,
+                source: SOURCES.includes(upload.source) ? upload.source : 'web',
+                buffer: image.buffer,
+                mimeType: image.mimeType,
+                sizeBytes: image.sizeBytes,
+                width: image.width,
+                height: image.height,
+                ...details
+            });
+        }
+
+        const sessions = [];
+        for (const [index, session] of list('sessions').entries()) {
+            const label = `sessions[${index}]`;
+            if (!isObject(session)) {
+                problem(`${label} is not an object`);
+                continue;
+            }
+            const startedAt = parseTime(session.startedAt);
+            const endedAt = session.endedAt == null ? null : parseTime(session.endedAt);
+            if (!startedAt || startedAt.getTime() > now) problem(`${label}: invalid startedAt`);
+            if (session.endedAt != null && !endedAt) problem(`${label}: invalid endedAt`);
+            if (!OUTCOMES.includes(session.outcome)) problem(`${label}: unknown outcome "${session.outcome}"`);
+            if (![session.focusedMs, session.pausedMs, session.pauseCount].every(isCount)) {
+                problem(`${label}: focusedMs, pausedMs and pauseCount must be whole numbers`);
+            }
+            if (session.plannedMinutes != null && !isCount(session.plannedMinutes)) problem(`${label}: invalid plannedMinutes`);
+            if (session.uploadId != null && !refs.has(session.uploadId)) problem(`${label}: uploadId ${session.uploadId} is not in uploads`);
+            sessions.push({
+                startedAt,
+                endedAt,
+                plannedMinutes: session.plannedMinutes == null ? null : session.plannedMinutes,
+                focusedMs: session.focusedMs,
+                pausedMs: session.pausedMs,
+                pauseCount: session.pauseCount,
+                outcome: session.outcome,
+                uploadRef: session.uploadId == null ? null : session.uploadId
+            });
+        }
+
+        // Badges this version doesn't know are dropped rather than refused
+        const known = new Set(ACHIEVEMENTS.map((achievement) => achievement.id));
+        const achievements = [];
+        for (const [index, achievement] of list('achievements').entries()) {
+            if (!isObject(achievement)) {
+                problem(`achievements[${index}] is not an object`);
+                continue;
+            }
+            const unlockedAt = parseTime(achievement.unlockedAt);
+            if (!unlockedAt) problem(`achievements[${index}]: invalid unlockedAt`);
+            if (known.has(achievement.achievementId)) achievements.push({ achievementId: achievement.achievementId, unlockedAt });
+        }
+
+        const challenges = [];
+        for (const [index, challenge] of list('challenges').entries()) {
+            const label = `challenges[${index}]`;
+            if (!isObject(challenge)) {
+                problem(`${label} is not an object`);
+                continue;
+            }
+            if (typeof challenge.challengeId !== 'string' || !challenge.challengeId) problem(`${label}: missing challengeId`);
+            if (!isDay(challenge.startedOn)) problem(`${label}: invalid startedOn`);
+            if (!CHALLENGE_STATUSES.includes(challenge.status)) problem(`${label}: unknown status "${challenge.status}"`);
+            if (challenge.finishedOn != null && !isDay(challenge.finishedOn)) problem(`${label}: invalid finishedOn`);
+            challenges.push({
+                challengeId: challenge.challengeId,
+                startedOn: challenge.startedOn,
+                status: challenge.status,
+                finishedOn: challenge.finishedOn == null ? null : challenge.finishedOn
+            });
+        }
+
+        if (problems.length) throw new ArchiveError('The archive failed validation', problems);
+        return {
+            settings: {
+                timeZone: settings.timeZone || null,
+                restDays: WEEKDAYS.filter((day) => restDays.includes(day)),
+                reminderTime: settings.reminderTime || null
+            },
+            uploads,
+            sessions,
+            achievements,
+            challenges,
+            missing
+        };
+    }
+
+    // Restore an export into userId's account. Throws ArchiveError for
+    // anything that isn't a valid export; returns db.importUserData's counts,
+    // with sketches that had no image added to uploads.skipped and
+    // uploads.missing.
+    async function importArchive(userId, username, buffer) {
+        const zip = openZip(buffer);
+        const data = await validate(zip, readDocument(zip));
+
+        // Images go to storage first; it is keyed by content, so a failed
+        // import leaves nothing behind that a retry wouldn't reuse
+        for (const upload of data.uploads) {
+            upload.fileId = await storage.putContent(upload.buffer, { contentType: upload.mimeType });
+        }
+        const summary = await db.importUserData(userId, username, data);
+        summary.uploads.missing = data.missing;
+        summary.uploads.skipped += data.missing;
+        return summary;
+    }
+
+    return { exportUser, importArchive };
+}
+
+module.exports = {
+    ArchiveError,
+    createArchive
+};
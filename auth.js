@@ -0,0 +1,128 @@
+// auth.js
+// Telegram WebApp initData verification.
+// See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+const crypto = require('crypto');
+
+const DEFAULT_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+function secretKeyFor(botToken) {
+    return crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+}
+
+function dataCheckString(params) {
+    return [...params.entries()]
+        .filter(([key]) => key !== 'hash')
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+}
+
+// Validate a raw initData query string and return the parsed payload.
+// Throws AuthError when the signature is wrong or the data is too old.
+function verifyInitData(initData, botToken, { maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS, now = Date.now() } = {}) {
+    if (!botToken) throw new AuthError('Bot token not configured', 500);
+    if (!initData || typeof initData !== 'string') throw new AuthError('Missing init data');
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash) throw new AuthError('Missing init data hash');
+
+    const expected = crypto
+        .createHmac('sha256', secretKeyFor(botToken))
+        .update(dataCheckString(params))
+        .digest('hex');
+
+    const given = Buffer.from(hash, 'hex');
+    if (given.length !== 32 || !crypto.timingSafeEqual(given, Buffer.from(expected, 'hex'))) {
+        throw new AuthError('Invalid init data signature');
+    }
+
+    const authDate = parseInt(params.get('auth_date'));
+    if (!authDate) throw new AuthError('Missing auth_date');
+    if (maxAgeSeconds > 0 && Math.floor(now / 1000) - authDate > maxAgeSeconds) {
+        throw new AuthError('Init data expired');
+    }
+
+    let user = null;
+    try {
+        user = JSON.parse(params.get('user') || 'null');
+    } catch (err) {
+        throw new AuthError('Malformed user field');
+    }
+    if (!user || !user.id) throw new AuthError('Init data has no user');
+
+    return {
+        user,
+        authDate,
+        queryId: params.get('query_id'),
+        startParam: params.get('start_param'),
+        chatType: params.get('chat_type'),
+        chatInstance: params.get('chat_instance')
+    };
+}
+
+// Build a signed initData string the same way Telegram does.
+// Handy for local testing without a real Mini-App session.
+function signInitData(fields, botToken) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(fields)) {
+        params.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+    if (!params.has('auth_date')) params.set('auth_date', String(Math.floor(Date.now() / 1000)));
+
+    const hash = crypto
+        .createHmac('sha256', secretKeyFor(botToken))
+        .update(dataCheckString(params))
+        .digest('hex');
+    params.set('hash', hash);
+    return params.toString();
+}
+
+// Accepts "Authorization: tma <initData>" (the Telegram convention)
+// or an "X-Telegram-Init-Data" header.
+function extractInitData(req) {
+    const header = req.get('authorization');
+    if (header && header.startsWith('tma ')) return header.slice(4);
+    return req.get('x-telegram-init-data') || null;
+}
+
+// Express middleware: verifies initData and sets req.userId / req.telegram.
+// Any userId the client still sends in the URL or JSON body must match.
+function createAuthMiddleware({ botToken, maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS } = {}) {
+    return (req, res, next) => {
+        let auth;
+        try {
+            auth = verifyInitData(extractInitData(req), botToken, { maxAgeSeconds });
+        } catch (err) {
+            if (!(err instanceof AuthError)) return next(err);
+            if (err.status >= 500) console.error('Auth error:', err.message);
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        const userId = parseInt(auth.user.id);
+        const claimed = [req.params && req.params.userId, req.body && req.body.userId]
+            .filter((value) => value !== undefined && value !== null && value !== '');
+        if (claimed.some((value) => parseInt(value) !== userId)) {
+            return res.status(403).json({ error: 'User ID does not match authenticated user' });
+        }
+
+        req.userId = userId;
+        req.telegram = auth;
+        next();
+    };
+}
+
+module.exports = {
+    AuthError,
+    verifyInitData,
+    signInitData,
+    createAuthMiddleware
+};
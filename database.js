@@ -1,133 +1,1056 @@
 // database.js
-const { Pool } = require('pg');
+// Repository functions used by the bot and API. The SQL is shared between
+// the Postgres and SQLite drivers in db/; which one is used comes from
+// config (see configureDatabase).
+const path = require('path');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, localDate, addDays, weekdayOf } = require('./dates');
+const { WEEKDAYS, DEFAULT_FREEZE_EVERY, DEFAULT_MAX_FREEZES, computeStreaks } = require('./streaks');
+const { createPostgresDriver } = require('./db/postgres');
+const { createSqliteDriver } = require('./db/sqlite');
+const migrator = require('./db/migrator');
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
+let driver = null;
 
-// Create tables
+// Pick the database. DB_DRIVER=postgres|sqlite; without it, Postgres is
+// used when DATABASE_URL is set and SQLite (SQLITE_PATH) otherwise.
+function configureDatabase(config = {}) {
+  const env = process.env;
+  const name = config.driver || env.DB_DRIVER || (env.DATABASE_URL ? 'postgres' : 'sqlite');
+
+  if (name === 'postgres') {
+    driver = createPostgresDriver({ connectionString: config.connectionString || env.DATABASE_URL });
+  } else if (name === 'sqlite') {
+    driver = createSqliteDriver({ filename: config.filename || env.SQLITE_PATH || path.join(__dirname, 'sketches.db') });
+  } else {
+    throw new Error(`Unknown database driver: ${name}`);
+  }
+  return driver;
+}
+
+function db() {
+  return driver || configureDatabase();
+}
+
+// Bring the schema up to date; the server awaits this before listening
 async function initDatabase() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS uploads (
-      id SERIAL PRIMARY KEY,
-      userId BIGINT NOT NULL,
-      username TEXT,
-      fileId TEXT,
-      createdAt TIMESTAMP DEFAULT NOW()
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS stats (
-      userId BIGINT PRIMARY KEY,
-      currentStreak INT DEFAULT 0,
-      longestStreak INT DEFAULT 0,
-      totalUploads INT DEFAULT 0,
-      lastUploadDate DATE
-    );
-  `);
-
-    // ✅ NEW: timers table
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS timers (
-      userId BIGINT PRIMARY KEY,
-      duration INT NOT NULL,
-      startTime BIGINT NOT NULL,
-      endTime BIGINT NOT NULL
+  const applied = await migrator.migrate(db());
+  if (applied.length) console.log(`Applied migrations: ${applied.join(', ')}`);
+}
+
+async function rollbackDatabase(steps = 1) {
+  return migrator.rollback(db(), { steps });
+}
+
+async function migrationStatus() {
+  return migrator.status(db());
+}
+
+// Timestamps come back as Dates from pg and ISO strings from SQLite
+function toDate(value) {
+  return value instanceof Date ? value : new Date(value);
+}
+
+// Tags are stored comma-separated, like users.restDays
+function joinTags(tags) {
+  return tags && tags.length ? tags.join(',') : null;
+}
+
+function splitTags(value) {
+  return value ? value.split(',') : [];
+}
+
+// Save sketch; returns the new upload id
+// file: { source: 'web' | 'telegram', telegramFileId, mimeType, sizeBytes, width, height,
+//         caption, medium, tags } (details as parsed by details.js)
+// With maxToday, nothing is saved and null returned if the user already
+// has that many sketches on their local today. The count and the insert
+// share a transaction that first locks the user's users row, so
+// concurrent uploads can't both get under the limit.
+async function saveUpload(userId, username, fileId, file = {}, { maxToday = 0 } = {}) {
+  const timeZone = maxToday ? await getUserTimeZone(userId) : null;
+  const id = await db().transaction(async (tx) => {
+    if (maxToday) {
+      await tx.query(
+        'INSERT INTO users (userId) VALUES ($1) ON CONFLICT (userId) DO UPDATE SET userId=EXCLUDED.userId',
+        [userId]
+      );
+      const today = localDate(timeZone);
+      const res = await tx.query(
+        'SELECT createdAt FROM uploads WHERE userId=$1 AND createdAt >= $2',
+        [userId, startOfDayAnywhere(today)]
+      );
+      const used = res.rows.filter((row) => localDate(timeZone, toDate(row.createdat)) === today).length;
+      if (used >= maxToday) return null;
+    }
+    const res = await tx.query(
+      `INSERT INTO uploads (userId, username, fileId, source, telegramFileId, mimeType, sizeBytes, width, height, caption, medium, tags, createdAt)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id`,
+      [
+        userId, username, fileId,
+        file.source || 'web', file.telegramFileId || null, file.mimeType || null,
+        file.sizeBytes || null, file.width || null, file.height || null,
+        file.caption || null, file.medium || null, joinTags(file.tags),
+        new Date().toISOString()
+      ]
     );
-  `);
+    return res.rows[0].id;
+  });
+  if (id === null) return null;
+
+  await recomputeStats(userId);
+  return id;
+}
+
+// Earliest instant that can fall on `day` in any time zone (UTC+14),
+// used as a coarse SQL bound before bucketing by the user's own zone
+function startOfDayAnywhere(day) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) - 14 * 60 * 60 * 1000).toISOString();
+}
+
+// SQL conditions selecting sketches with a tag and/or medium. Appends
+// the values to params and returns ' AND ...', or '' without a filter.
+function sketchFilter({ tag = null, medium = null } = {}, params) {
+  let sql = '';
+  if (tag) {
+    // tags are validated by details.js and never contain a comma
+    params.push(`%,${tag.replace(/[\\%_]/g, '\\$&')},%`);
+    sql += ` AND (',' || tags || ',') LIKE $${params.length} ESCAPE '\\'`;
+  }
+  if (medium) {
+    params.push(medium);
+    sql += ` AND medium = $${params.length}`;
+  }
+  return sql;
 }
 
-// Save sketch
-async function saveUpload(userId, username, fileId) {
-  await pool.query(
-    'INSERT INTO uploads (userId, username, fileId) VALUES ($1, $2, $3)',
-    [userId, username, fileId]
+// Upload times for a user, optionally only those on or after fromDay
+// and matching filter ({ tag, medium })
+async function getUploadTimes(userId, fromDay = null, filter = {}) {
+  const params = [userId];
+  let sql = 'SELECT createdAt FROM uploads WHERE userId=$1';
+  if (fromDay) {
+    params.push(startOfDayAnywhere(fromDay));
+    sql += ` AND createdAt >= $${params.length}`;
+  }
+  const res = await db().query(sql + sketchFilter(filter, params), params);
+  return res.rows.map((row) => toDate(row.createdat));
+}
+
+// Sketch counts per local day from fromDay on: { 'YYYY-MM-DD': n }
+async function getDailyCounts(userId, timeZone, fromDay, filter = {}) {
+  const counts = {};
+  for (const time of await getUploadTimes(userId, fromDay, filter)) {
+    const day = localDate(timeZone, time);
+    if (day >= fromDay) counts[day] = (counts[day] || 0) + 1;
+  }
+  return counts;
+}
+
+// Freeze rules: one freeze per STREAK_FREEZE_EVERY days of a streak,
+// holding at most STREAK_MAX_FREEZES
+const STREAK_OPTIONS = {
+  freezeEvery: parseInt(process.env.STREAK_FREEZE_EVERY || DEFAULT_FREEZE_EVERY),
+  maxFreezes: parseInt(process.env.STREAK_MAX_FREEZES || DEFAULT_MAX_FREEZES)
+};
+
+// Replay all of a user's upload days; see streaks.computeStreaks
+async function computeUserStreaks(userId, timeZone, today) {
+  const times = await getUploadTimes(userId);
+  const days = [...new Set(times.map((time) => localDate(timeZone, time)))].sort();
+  const restDays = await getRestDays(userId);
+  return {
+    ...computeStreaks(days, today, { ...STREAK_OPTIONS, restDays }),
+    totalUploads: times.length,
+    restDays
+  };
+}
+
+// Rebuild a user's stats row from the uploads table
+async function recomputeStats(userId) {
+  const timeZone = await getUserTimeZone(userId);
+  const streaks = await computeUserStreaks(userId, timeZone, localDate(timeZone));
+
+  await db().query(
+    `INSERT INTO stats (userId, currentStreak, longestStreak, totalUploads, lastUploadDate, freezesAvailable)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (userId)
+     DO UPDATE SET currentStreak=$2, longestStreak=$3, totalUploads=$4, lastUploadDate=$5, freezesAvailable=$6`,
+    [userId, streaks.currentStreak, streaks.longestStreak, streaks.totalUploads, streaks.lastUploadDate, streaks.freezesAvailable]
   );
+}
 
-  // update stats
-  const today = new Date().toISOString().slice(0, 10);
-  const res = await pool.query('SELECT * FROM stats WHERE userId = $1', [userId]);
+// Backfill: rebuild every stats row. Returns the number of users processed.
+async function rebuildAllStats() {
+  const res = await db().query('SELECT userId FROM uploads UNION SELECT userId FROM stats');
+  for (const row of res.rows) {
+    await recomputeStats(Number(row.userid));
+  }
+  return res.rows.length;
+}
 
-  if (res.rows.length === 0) {
-    await pool.query(
-      'INSERT INTO stats (userId, currentStreak, longestStreak, totalUploads, lastUploadDate) VALUES ($1, 1, 1, 1, $2)',
-      [userId, today]
-    );
-  } else {
-    let { currentstreak, longeststreak, totaluploads, lastuploaddate } = res.rows[0];
-    totaluploads++;
-    if (lastuploaddate === today) {
-      // already uploaded today
-    } else {
-      const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
-      if (lastuploaddate === yesterday) {
-        currentstreak++;
-      } else {
-        currentstreak = 1;
-      }
-      if (currentstreak > longeststreak) longeststreak = currentstreak;
+// Focus minutes per local day from fromDay on: { 'YYYY-MM-DD': minutes }
+async function getDailyFocus(userId, timeZone, fromDay) {
+  const res = await db().query(
+    'SELECT startedAt, focusedMs FROM sessions WHERE userId=$1 AND startedAt >= $2',
+    [userId, startOfDayAnywhere(fromDay)]
+  );
+  const ms = {};
+  for (const row of res.rows) {
+    const day = localDate(timeZone, toDate(row.startedat));
+    if (day >= fromDay) ms[day] = (ms[day] || 0) + Number(row.focusedms);
+  }
+  const minutes = {};
+  for (const day of Object.keys(ms)) minutes[day] = Math.round(ms[day] / 60000);
+  return minutes;
+}
+
+//
+// Session helpers
+//
+// One row per timer, opened when it starts (startTime is epoch ms).
+// Returns the session id.
+async function startSession(userId, startTime, plannedMinutes) {
+  const res = await db().query(
+    'INSERT INTO sessions (userId, startedAt, plannedMinutes) VALUES ($1, $2, $3) RETURNING id',
+    [userId, new Date(startTime).toISOString(), plannedMinutes]
+  );
+  return res.rows[0].id;
+}
+
+// Close a running session. outcome: 'completed' | 'uploaded' | 'cancelled' | 'expired'.
+// Returns false if it had already been closed.
+async function endSession(sessionId, { outcome, endedAt = new Date(), focusedMs = 0, pausedMs = 0, pauseCount = 0, uploadId = null }) {
+  const res = await db().query(
+    `UPDATE sessions
+     SET outcome=$2, endedAt=$3, focusedMs=$4, pausedMs=$5, pauseCount=$6, uploadId=$7
+     WHERE id=$1 AND outcome IS NULL
+     RETURNING id`,
+    [
+      sessionId, outcome, new Date(endedAt).toISOString(),
+      Math.max(0, Math.round(focusedMs)), Math.max(0, Math.round(pausedMs)), pauseCount, uploadId
+    ]
+  );
+  return res.rows.length > 0;
+}
+
+// Attach an upload to the user's latest session that ended since `since`
+// and has no upload yet. Returns whether one was found.
+async function linkUploadToSession(userId, uploadId, since) {
+  const res = await db().query(
+    `UPDATE sessions SET uploadId=$2
+     WHERE id = (
+       SELECT id FROM sessions
+       WHERE userId=$1 AND outcome IS NOT NULL AND uploadId IS NULL AND endedAt >= $3
+       ORDER BY endedAt DESC LIMIT 1
+     )
+     RETURNING id`,
+    [userId, uploadId, new Date(since).toISOString()]
+  );
+  return res.rows.length > 0;
+}
+
+// Sessions (running or not) that started on the user's local today
+async function getTodaySessions(userId) {
+  const timeZone = await getUserTimeZone(userId);
+  const today = localDate(timeZone);
+  const res = await db().query(
+    'SELECT startedAt, focusedMs, outcome FROM sessions WHERE userId=$1 AND startedAt >= $2',
+    [userId, startOfDayAnywhere(today)]
+  );
+  return res.rows
+    .map((row) => ({ startedAt: toDate(row.startedat), focusedMs: Number(row.focusedms), outcome: row.outcome }))
+    .filter((session) => localDate(timeZone, session.startedAt) === today);
+}
+
+// Sketches saved on the user's local today
+async function countTodayUploads(userId) {
+  const timeZone = await getUserTimeZone(userId);
+  const today = localDate(timeZone);
+  const times = await getUploadTimes(userId, today);
+  return times.filter((time) => localDate(timeZone, time) === today).length;
+}
+
+// Totals over every finished session
+async function getSessionTotals(userId) {
+  const res = await db().query(
+    `SELECT COUNT(*) AS sessions,
+            SUM(CASE WHEN outcome='completed' THEN 1 ELSE 0 END) AS completed,
+            SUM(focusedMs) AS focusedms
+     FROM sessions WHERE userId=$1 AND outcome IS NOT NULL`,
+    [userId]
+  );
+  const row = res.rows[0];
+  const sessions = Number(row.sessions);
+  const focusedMs = Number(row.focusedms || 0);
+  return {
+    sessionCount: sessions,
+    completedSessions: Number(row.completed || 0),
+    totalFocusMinutes: Math.round(focusedMs / 60000),
+    averageFocusMinutes: sessions ? Math.round(focusedMs / sessions / 60000) : 0
+  };
+}
+
+const WEEK_DAYS = 7;
+const MONTH_DAYS = 30;
+const MAX_HISTORY_DAYS = 366;
+
+// Stats as served to the Mini-App and bot. historyDays sets how many days
+// (ending today) recentHistory covers; week/month are rolling 7/30-day totals.
+// Streaks are replayed here rather than read from the stats row, since
+// freezes are spent and streaks lapse as days pass without an upload.
+async function getUserStats(userId, { historyDays = MONTH_DAYS, now = new Date() } = {}) {
+  historyDays = Math.min(Math.max(parseInt(historyDays) || MONTH_DAYS, 1), MAX_HISTORY_DAYS);
+
+  const timeZone = await getUserTimeZone(userId);
+  const today = localDate(timeZone, now);
+  const streaks = await computeUserStreaks(userId, timeZone, today);
+  const frozen = new Set(streaks.frozenDays);
+  const focus = await getSessionTotals(userId);
+
+  const counts = await getDailyCounts(userId, timeZone, addDays(today, -(Math.max(historyDays, MONTH_DAYS) - 1)));
+  const countSince = (days) => Object.keys(counts)
+    .filter((day) => day > addDays(today, -days))
+    .reduce((sum, day) => sum + counts[day], 0);
+
+  const recentHistory = [];
+  for (let i = historyDays - 1; i >= 0; i--) {
+    const date = addDays(today, -i);
+    recentHistory.push({
+      date,
+      sketches: counts[date] || 0,
+      frozen: frozen.has(date),
+      restDay: streaks.restDays.includes(WEEKDAYS[weekdayOf(date)])
+    });
+  }
+
+  return {
+    currentStreak: streaks.currentStreak,
+    longestStreak: streaks.longestStreak,
+    totalUploads: streaks.totalUploads,
+    lastUploadDate: streaks.lastUploadDate,
+    hasUploadedToday: streaks.lastUploadDate === today,
+    todayUploads: counts[today] || 0,
+    freezesAvailable: streaks.freezesAvailable,
+    maxFreezes: STREAK_OPTIONS.maxFreezes,
+    freezeEvery: STREAK_OPTIONS.freezeEvery,
+    freezesUsed: streaks.frozenDays.length,
+    restDays: streaks.restDays,
+    isRestDay: streaks.restDays.includes(WEEKDAYS[weekdayOf(today)]),
+    ...focus,
+    today,
+    timeZone,
+    weekCount: countSince(WEEK_DAYS),
+    monthCount: countSince(MONTH_DAYS),
+    recentHistory
+  };
+}
+
+const MAX_CALENDAR_DAYS = 371; // 53 full weeks
+
+// Day-by-day activity for the heatmap and charts, oldest first, plus
+// Monday-based weekly totals. The first week may be partial. With a tag
+// or medium only matching sketches are counted; focus minutes are not
+// filtered, since sessions aren't tagged.
+async function getHistory(userId, { days = 365, tag = null, medium = null } = {}) {
+  days = Math.min(Math.max(parseInt(days) || 365, 1), MAX_CALENDAR_DAYS);
+
+  const timeZone = await getUserTimeZone(userId);
+  const today = localDate(timeZone);
+  const fromDay = addDays(today, -(days - 1));
+  const counts = await getDailyCounts(userId, timeZone, fromDay, { tag, medium });
+  const focus = await getDailyFocus(userId, timeZone, fromDay);
+
+  const history = [];
+  const weeks = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(today, -i);
+    const entry = { date, sketches: counts[date] || 0, focusMinutes: focus[date] || 0 };
+    history.push(entry);
+
+    const weekday = weekdayOf(date);
+    if (weekday === 0 || weeks.length === 0) {
+      weeks.push({ weekStart: addDays(date, -weekday), sketches: 0, focusMinutes: 0 });
     }
-    await pool.query(
-      'UPDATE stats SET currentStreak=$1, longestStreak=$2, totalUploads=$3, lastUploadDate=$4 WHERE userId=$5',
-      [currentstreak, longeststreak, totaluploads, today, userId]
-    );
+    weeks[weeks.length - 1].sketches += entry.sketches;
+    weeks[weeks.length - 1].focusMinutes += entry.focusMinutes;
+  }
+
+  return { today, timeZone, tag, medium, days: history, weeks };
+}
+
+//
+// Gallery helpers
+//
+function toSketch(row) {
+  return {
+    id: row.id,
+    userId: Number(row.userid),
+    fileId: row.fileid,
+    source: row.source,
+    telegramFileId: row.telegramfileid,
+    mimeType: row.mimetype,
+    sizeBytes: row.sizebytes,
+    width: row.width,
+    height: row.height,
+    caption: row.caption || null,
+    medium: row.medium || null,
+    tags: splitTags(row.tags),
+    createdAt: toDate(row.createdat)
+  };
+}
+
+// Newest first; pass the last id of a page as `before` to get the next one.
+// tag and medium narrow the list to matching sketches.
+async function listUploads(userId, { before = null, limit = 20, tag = null, medium = null } = {}) {
+  const params = [userId, before || 2147483647];
+  const filter = sketchFilter({ tag, medium }, params);
+  params.push(limit);
+  const res = await db().query(
+    `SELECT * FROM uploads
+     WHERE userId=$1 AND id < $2${filter}
+     ORDER BY id DESC LIMIT $${params.length}`,
+    params
+  );
+  return res.rows.map(toSketch);
+}
+
+// Change the caption, medium and/or tags of a sketch; details holds only
+// the fields to change (details.parseDetails). Returns the updated sketch,
+// or null if not found.
+async function updateUploadDetails(userId, id, details) {
+  const params = [userId, id];
+  const sets = [];
+  for (const column of ['caption', 'medium', 'tags']) {
+    if (!(column in details)) continue;
+    params.push(column === 'tags' ? joinTags(details.tags) : details[column] || null);
+    sets.push(`${column}=$${params.length}`);
   }
+  if (sets.length) await db().query(`UPDATE uploads SET ${sets.join(', ')} WHERE userId=$1 AND id=$2`, params);
+  return getUpload(userId, id);
 }
 
-async function getUserStats(userId) {
-  const res = await pool.query('SELECT * FROM stats WHERE userId=$1', [userId]);
-  if (res.rows.length === 0) {
-    return { currentStreak: 0, longestStreak: 0, totalUploads: 0 };
+// Every tag and medium the user has used, most used first:
+// { tags: [{ tag, count }], mediums: [{ medium, count }] }
+async function getUserTags(userId) {
+  const res = await db().query(
+    'SELECT medium, tags FROM uploads WHERE userId=$1 AND (medium IS NOT NULL OR tags IS NOT NULL)',
+    [userId]
+  );
+  const tags = new Map();
+  const mediums = new Map();
+  for (const row of res.rows) {
+    for (const tag of splitTags(row.tags)) tags.set(tag, (tags.get(tag) || 0) + 1);
+    if (row.medium) mediums.set(row.medium, (mediums.get(row.medium) || 0) + 1);
   }
-  return res.rows[0];
+  const ranked = (counts, key) => [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name, count]) => ({ [key]: name, count }));
+  return { tags: ranked(tags, 'tag'), mediums: ranked(mediums, 'medium') };
 }
 
-async function markSessionComplete(userId) {
-  // for now just noop — already handled in saveUpload
-  return;
+async function getUpload(userId, id) {
+  const res = await db().query('SELECT * FROM uploads WHERE userId=$1 AND id=$2', [userId, id]);
+  return res.rows.length ? toSketch(res.rows[0]) : null;
+}
+
+// The sketch saved from a photo sent to the bot
+async function findUploadByTelegramFileId(userId, telegramFileId) {
+  const res = await db().query(
+    'SELECT * FROM uploads WHERE userId=$1 AND telegramFileId=$2 ORDER BY id DESC LIMIT 1',
+    [userId, telegramFileId]
+  );
+  return res.rows.length ? toSketch(res.rows[0]) : null;
+}
+
+async function updateUploadFileId(id, fileId) {
+  await db().query('UPDATE uploads SET fileId=$1 WHERE id=$2', [fileId, id]);
+}
+
+// Delete one sketch and replay the user's streaks without it. Sessions
+// linked to it keep their focus time but lose the link. Returns the deleted
+// sketch (its fileId is for retention.removeFiles), or null if not found.
+async function deleteUpload(userId, id) {
+  const sketch = await getUpload(userId, id);
+  if (!sketch) return null;
+
+  await db().transaction(async (tx) => {
+    await tx.query('UPDATE sessions SET uploadId=NULL WHERE userId=$1 AND uploadId=$2', [userId, id]);
+    await tx.query('DELETE FROM uploads WHERE userId=$1 AND id=$2', [userId, id]);
+  });
+  await recomputeStats(userId);
+  return sketch;
+}
+
+// Whether any upload (of any user) still uses this stored file
+async function isFileReferenced(fileId) {
+  const res = await db().query('SELECT 1 FROM uploads WHERE fileId=$1 LIMIT 1', [fileId]);
+  return res.rows.length > 0;
+}
+
+async function getReferencedFileIds() {
+  const res = await db().query('SELECT DISTINCT fileId FROM uploads WHERE fileId IS NOT NULL');
+  return res.rows.map((row) => row.fileid);
 }
 
 async function hasUploadedToday(userId) {
-  const res = await pool.query(
+  const res = await db().query(
     'SELECT lastUploadDate FROM stats WHERE userId=$1',
     [userId]
   );
   if (res.rows.length === 0) return false;
-  const today = new Date().toISOString().slice(0, 10);
+  const today = localDate(await getUserTimeZone(userId));
   return res.rows[0].lastuploaddate === today;
 }
 
+//
+// Time zone helpers
+//
+async function getUserTimeZone(userId) {
+  const res = await db().query('SELECT timeZone FROM users WHERE userId=$1', [userId]);
+  const timeZone = res.rows.length ? res.rows[0].timezone : null;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+// Explicit choice, e.g. from the /timezone bot command
+async function setUserTimeZone(userId, timeZone) {
+  await db().query(
+    `INSERT INTO users (userId, timeZone) VALUES ($1, $2)
+     ON CONFLICT (userId) DO UPDATE SET timeZone=$2`,
+    [userId, timeZone]
+  );
+  // upload days shift with the zone
+  await recomputeStats(userId);
+}
+
+// Zone detected by the Mini-App; only fills in a missing value so it
+// never overrides one the user picked themselves
+async function rememberUserTimeZone(userId, timeZone) {
+  const res = await db().query(
+    `INSERT INTO users (userId, timeZone) VALUES ($1, $2)
+     ON CONFLICT (userId) DO UPDATE SET timeZone=$2 WHERE users.timeZone IS NULL
+     RETURNING timeZone`,
+    [userId, timeZone]
+  );
+  // a row only comes back when the zone was actually stored
+  if (res.rows.length) await recomputeStats(userId);
+  return getUserTimeZone(userId);
+}
+
+// Weekly rest days: weekday names from streaks.WEEKDAYS, [] for none
+async function getRestDays(userId) {
+  const res = await db().query('SELECT restDays FROM users WHERE userId=$1', [userId]);
+  const value = res.rows.length ? res.rows[0].restdays : null;
+  return value ? value.split(',').filter((day) => WEEKDAYS.includes(day)) : [];
+}
+
+async function setRestDays(userId, restDays) {
+  await db().query(
+    `INSERT INTO users (userId, restDays) VALUES ($1, $2)
+     ON CONFLICT (userId) DO UPDATE SET restDays=$2`,
+    [userId, restDays.length ? restDays.join(',') : null]
+  );
+  // rest days change which missed days break a streak
+  await recomputeStats(userId);
+}
+
+//
+// Challenge helpers
+//
+// The running challenge with the local days sketched since it started:
+// { challengeId, startedOn, today, uploadDays }, or null
+async function getActiveChallenge(userId) {
+  const res = await db().query(
+    "SELECT challengeId, startedOn FROM challenges WHERE userId=$1 AND status='active'",
+    [userId]
+  );
+  if (!res.rows.length) return null;
+
+  const { challengeid: challengeId, startedon: startedOn } = res.rows[0];
+  const timeZone = await getUserTimeZone(userId);
+  const counts = await getDailyCounts(userId, timeZone, startedOn);
+  return {
+    challengeId,
+    startedOn,
+    today: localDate(timeZone),
+    uploadDays: Object.keys(counts).sort()
+  };
+}
+
+// Starts today; any challenge in progress counts as left
+async function startChallenge(userId, challengeId) {
+  const today = localDate(await getUserTimeZone(userId));
+  await db().transaction(async (tx) => {
+    await tx.query(
+      "UPDATE challenges SET status='left', finishedOn=$2 WHERE userId=$1 AND status='active'",
+      [userId, today]
+    );
+    await tx.query(
+      `INSERT INTO challenges (userId, challengeId, startedOn) VALUES ($1, $2, $3)
+       ON CONFLICT (userId, challengeId, startedOn) DO UPDATE SET status='active', finishedOn=NULL`,
+      [userId, challengeId, today]
+    );
+  });
+}
+
+async function leaveChallenge(userId) {
+  const today = localDate(await getUserTimeZone(userId));
+  await db().query(
+    "UPDATE challenges SET status='left', finishedOn=$2 WHERE userId=$1 AND status='active'",
+    [userId, today]
+  );
+}
+
+async function completeChallenge(userId, challengeId, day) {
+  await db().query(
+    "UPDATE challenges SET status='completed', finishedOn=$3 WHERE userId=$1 AND challengeId=$2 AND status='active'",
+    [userId, challengeId, day]
+  );
+}
+
+// Ids of every challenge the user has finished, oldest first
+async function getCompletedChallenges(userId) {
+  const res = await db().query(
+    "SELECT challengeId FROM challenges WHERE userId=$1 AND status='completed' ORDER BY finishedOn",
+    [userId]
+  );
+  return res.rows.map((row) => row.challengeid);
+}
+
+//
+// Achievement helpers
+//
+// What achievements.js checks against: upload and streak totals plus every
+// focus session as { startedAt: Date, focusedMs }
+async function getAchievementProgress(userId) {
+  const timeZone = await getUserTimeZone(userId);
+  const streaks = await computeUserStreaks(userId, timeZone, localDate(timeZone));
+  const res = await db().query('SELECT startedAt, focusedMs FROM sessions WHERE userId=$1', [userId]);
+  return {
+    timeZone,
+    totalUploads: streaks.totalUploads,
+    longestStreak: streaks.longestStreak,
+    sessions: res.rows.map((row) => ({ startedAt: toDate(row.startedat), focusedMs: Number(row.focusedms) }))
+  };
+}
+
+async function getUnlockedAchievements(userId) {
+  const res = await db().query(
+    'SELECT achievementId, unlockedAt FROM achievements WHERE userId=$1 ORDER BY unlockedAt',
+    [userId]
+  );
+  return res.rows.map((row) => ({ achievementId: row.achievementid, unlockedAt: row.unlockedat }));
+}
+
+// Returns the unlock time, or null if the user already had it
+async function unlockAchievement(userId, achievementId) {
+  const res = await db().query(
+    `INSERT INTO achievements (userId, achievementId, unlockedAt) VALUES ($1, $2, $3)
+     ON CONFLICT (userId, achievementId) DO NOTHING
+     RETURNING unlockedAt`,
+    [userId, achievementId, new Date().toISOString()]
+  );
+  return res.rows.length ? res.rows[0].unlockedat : null;
+}
+
+//
+// Group helpers
+//
+// addedOn seeds lastRecapDate, so a new group waits for the next recap day
+async function saveGroup(chatId, title, addedOn) {
+  await db().query(
+    `INSERT INTO chat_groups (chatId, title, addedAt, lastRecapDate) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (chatId) DO UPDATE SET title=$2`,
+    [chatId, title || null, new Date().toISOString(), addedOn]
+  );
+}
+
+async function removeGroup(chatId) {
+  await db().transaction(async (tx) => {
+    await tx.query('DELETE FROM group_members WHERE chatId=$1', [chatId]);
+    await tx.query('DELETE FROM chat_groups WHERE chatId=$1', [chatId]);
+  });
+}
+
+// A group upgraded to a supergroup gets a new chat id
+async function moveGroup(oldChatId, newChatId) {
+  await db().transaction(async (tx) => {
+    await tx.query('UPDATE chat_groups SET chatId=$2 WHERE chatId=$1', [oldChatId, newChatId]);
+    await tx.query('UPDATE group_members SET chatId=$2 WHERE chatId=$1', [oldChatId, newChatId]);
+  });
+}
+
+function toGroup(row) {
+  return {
+    chatId: Number(row.chatid),
+    title: row.title,
+    addedAt: row.addedat,
+    lastRecapDate: row.lastrecapdate
+  };
+}
+
+async function getGroup(chatId) {
+  const res = await db().query('SELECT * FROM chat_groups WHERE chatId=$1', [chatId]);
+  return res.rows.length ? toGroup(res.rows[0]) : null;
+}
+
+async function getGroups() {
+  const res = await db().query('SELECT * FROM chat_groups');
+  return res.rows.map(toGroup);
+}
+
+// Groups the user has joined the leaderboard of
+async function getUserGroups(userId) {
+  const res = await db().query(
+    `SELECT g.* FROM chat_groups g
+     JOIN group_members m ON m.chatId = g.chatId
+     WHERE m.userId=$1 ORDER BY g.title`,
+    [userId]
+  );
+  return res.rows.map(toGroup);
+}
+
+async function markGroupRecap(chatId, day) {
+  await db().query('UPDATE chat_groups SET lastRecapDate=$1 WHERE chatId=$2', [day, chatId]);
+}
+
+// Joining again just refreshes the display name
+async function addGroupMember(chatId, userId, username) {
+  await db().query(
+    `INSERT INTO group_members (chatId, userId, username, joinedAt) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (chatId, userId) DO UPDATE SET username=$3`,
+    [chatId, userId, username, new Date().toISOString()]
+  );
+}
+
+// Returns whether the user was a member
+async function removeGroupMember(chatId, userId) {
+  const res = await db().query(
+    'DELETE FROM group_members WHERE chatId=$1 AND userId=$2 RETURNING userId',
+    [chatId, userId]
+  );
+  return res.rows.length > 0;
+}
+
+async function getGroupMembers(chatId) {
+  const res = await db().query('SELECT * FROM group_members WHERE chatId=$1 ORDER BY joinedAt', [chatId]);
+  return res.rows.map((row) => ({
+    userId: Number(row.userid),
+    username: row.username,
+    joinedAt: row.joinedat
+  }));
+}
+
+async function isGroupMember(chatId, userId) {
+  const res = await db().query('SELECT 1 FROM group_members WHERE chatId=$1 AND userId=$2', [chatId, userId]);
+  return res.rows.length > 0;
+}
+
+//
+// Reminder helpers
+//
+// time is 'HH:MM' in the user's zone, or null to turn reminders off
+async function setReminderTime(userId, time) {
+  await db().query(
+    `INSERT INTO users (userId, reminderTime) VALUES ($1, $2)
+     ON CONFLICT (userId) DO UPDATE SET reminderTime=$2`,
+    [userId, time]
+  );
+}
+
+async function getReminderTime(userId) {
+  const res = await db().query('SELECT reminderTime FROM users WHERE userId=$1', [userId]);
+  return res.rows.length ? res.rows[0].remindertime : null;
+}
+
+// Everyone who opted in to reminders
+async function getReminderUsers() {
+  const res = await db().query('SELECT * FROM users WHERE reminderTime IS NOT NULL');
+  return res.rows.map((row) => ({
+    userId: Number(row.userid),
+    timeZone: isValidTimeZone(row.timezone) ? row.timezone : DEFAULT_TIME_ZONE,
+    reminderTime: row.remindertime,
+    lastReminderDate: row.lastreminderdate,
+    lastWarningDate: row.lastwarningdate
+  }));
+}
+
+// kind: 'reminder' | 'warning'; day is the user's local day it was handled
+async function markReminderHandled(userId, kind, day) {
+  const column = kind === 'warning' ? 'lastWarningDate' : 'lastReminderDate';
+  await db().query(`UPDATE users SET ${column}=$1 WHERE userId=$2`, [day, userId]);
+}
+
 //
 // ✅ Timer helpers
 //
-async function saveTimer(userId, duration, startTime, endTime) {
-  await pool.query(
-    `INSERT INTO timers (userId, duration, startTime, endTime)
-     VALUES ($1, $2, $3, $4)
+// timer: { duration, startTime, endTime, pausedAt, pausedMs, pauseCount, sessionId }
+// pausedAt is set while the timer is paused; pausedMs is the total time
+// spent paused so far (endTime already includes it)
+async function saveTimer(userId, { duration, startTime, endTime, pausedAt = null, pausedMs = 0, pauseCount = 0, sessionId = null }) {
+  await db().query(
+    `INSERT INTO timers (userId, duration, startTime, endTime, pausedAt, pausedMs, pauseCount, sessionId)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
      ON CONFLICT (userId)
-     DO UPDATE SET duration=$2, startTime=$3, endTime=$4`,
-    [userId, duration, startTime, endTime]
+     DO UPDATE SET duration=$2, startTime=$3, endTime=$4, pausedAt=$5, pausedMs=$6, pauseCount=$7, sessionId=$8`,
+    [userId, duration, startTime, endTime, pausedAt, pausedMs, pauseCount, sessionId]
   );
 }
 
 async function deleteTimer(userId) {
-  await pool.query('DELETE FROM timers WHERE userId=$1', [userId]);
+  await db().query('DELETE FROM timers WHERE userId=$1', [userId]);
 }
 
+// BIGINT columns come back from pg as strings, so convert them here
 async function getAllTimers() {
-  const res = await pool.query('SELECT * FROM timers');
-  return res.rows;
+  const res = await db().query('SELECT * FROM timers');
+  return res.rows.map((row) => ({
+    userId: Number(row.userid),
+    duration: row.duration,
+    startTime: Number(row.starttime),
+    endTime: Number(row.endtime),
+    pausedAt: row.pausedat === null ? null : Number(row.pausedat),
+    pausedMs: Number(row.pausedms || 0),
+    pauseCount: Number(row.pausecount || 0),
+    sessionId: row.sessionid
+  }));
+}
+
+//
+// Export / import helpers
+//
+function toSession(row) {
+  return {
+    id: row.id,
+    startedAt: toDate(row.startedat),
+    endedAt: row.endedat ? toDate(row.endedat) : null,
+    plannedMinutes: row.plannedminutes,
+    focusedMs: Number(row.focusedms),
+    pausedMs: Number(row.pausedms || 0),
+    pauseCount: Number(row.pausecount || 0),
+    outcome: row.outcome,
+    uploadId: row.uploadid
+  };
+}
+
+// Everything a user owns, for archive.js. Running sessions are left out.
+async function getUserExport(userId) {
+  const users = await db().query('SELECT timeZone, reminderTime FROM users WHERE userId=$1', [userId]);
+  const uploads = await db().query('SELECT * FROM uploads WHERE userId=$1 ORDER BY id', [userId]);
+  const sessions = await db().query('SELECT * FROM sessions WHERE userId=$1 AND outcome IS NOT NULL ORDER BY id', [userId]);
+  const challenges = await db().query(
+    'SELECT challengeId, startedOn, status, finishedOn FROM challenges WHERE userId=$1 ORDER BY startedOn',
+    [userId]
+  );
+  const user = users.rows[0] || {};
+
+  return {
+    settings: {
+      timeZone: isValidTimeZone(user.timezone) ? user.timezone : null,
+      restDays: await getRestDays(userId),
+      reminderTime: user.remindertime || null
+    },
+    uploads: uploads.rows.map(toSketch),
+    sessions: sessions.rows.map(toSession),
+    achievements: await getUnlockedAchievements(userId),
+    challenges: challenges.rows.map((row) => ({
+      challengeId: row.challengeid,
+      startedOn: row.startedon,
+      status: row.status,
+      finishedOn: row.finishedon
+    }))
+  };
+}
+
+// Merge validated archive data into an account, all or nothing. Rows the
+// account already has are skipped: uploads by file and time, sessions by
+// start time, challenges by id and start day, and an active challenge
+// when one is already running. Settings only fill in what is unset.
+// uploads carry a `ref` that sessions point at through `uploadRef`.
+// Returns counts of what was imported and skipped.
+async function importUserData(userId, username, { settings = {}, uploads = [], sessions = [], achievements = [], challenges = [] }) {
+  const summary = {
+    uploads: { imported: 0, skipped: 0 },
+    sessions: { imported: 0, skipped: 0 },
+    achievements: { imported: 0, skipped: 0 },
+    challenges: { imported: 0, skipped: 0 },
+    settings: []
+  };
+
+  await db().transaction(async (tx) => {
+    const uploadIds = new Map();
+    const existingUploads = new Map();
+    for (const row of (await tx.query('SELECT id, fileId, createdAt FROM uploads WHERE userId=$1', [userId])).rows) {
+      existingUploads.set(`${row.fileid}|${toDate(row.createdat).toISOString()}`, row.id);
+    }
+    for (const upload of uploads) {
+      const createdAt = upload.createdAt.toISOString();
+      const existing = existingUploads.get(`${upload.fileId}|${createdAt}`);
+      if (existing) {
+        uploadIds.set(upload.ref, existing);
+        summary.uploads.skipped++;
+        continue;
+      }
+      const res = await tx.query(
+        `INSERT INTO uploads (userId, username, fileId, source, mimeType, sizeBytes, width, height, caption, medium, tags, createdAt)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING id`,
+        [
+          userId, username, upload.fileId, upload.source, upload.mimeType, upload.sizeBytes, upload.width, upload.height,
+          upload.caption || null, upload.medium || null, joinTags(upload.tags), createdAt
+        ]
+      );
+      uploadIds.set(upload.ref, res.rows[0].id);
+      summary.uploads.imported++;
+    }
+
+    const existingSessions = new Set((await tx.query('SELECT startedAt FROM sessions WHERE userId=$1', [userId])).rows
+      .map((row) => toDate(row.startedat).toISOString()));
+    for (const session of sessions) {
+      const startedAt = session.startedAt.toISOString();
+      if (existingSessions.has(startedAt)) {
+        summary.sessions.skipped++;
+        continue;
+      }
+      await tx.query(
+        `INSERT INTO sessions (userId, startedAt, endedAt, plannedMinutes, focusedMs, pausedMs, pauseCount, outcome, uploadId)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          userId, startedAt, session.endedAt ? session.endedAt.toISOString() : null, session.plannedMinutes,
+          session.focusedMs, session.pausedMs, session.pauseCount, session.outcome,
+          session.uploadRef == null ? null : uploadIds.get(session.uploadRef) || null
+        ]
+      );
+      existingSessions.add(startedAt);
+      summary.sessions.imported++;
+    }
+
+    for (const { achievementId, unlockedAt } of achievements) {
+      const res = await tx.query(
+        `INSERT INTO achievements (userId, achievementId, unlockedAt) VALUES ($1, $2, $3)
+         ON CONFLICT (userId, achievementId) DO NOTHING
+         RETURNING achievementId`,
+        [userId, achievementId, unlockedAt.toISOString()]
+      );
+      summary.achievements[res.rows.length ? 'imported' : 'skipped']++;
+    }
+
+    let hasActive = (await tx.query("SELECT 1 FROM challenges WHERE userId=$1 AND status='active'", [userId])).rows.length > 0;
+    for (const challenge of challenges) {
+      if (challenge.status === 'active' && hasActive) {
+        summary.challenges.skipped++;
+        continue;
+      }
+      const res = await tx.query(
+        `INSERT INTO challenges (userId, challengeId, startedOn, status, finishedOn) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (userId, challengeId, startedOn) DO NOTHING
+         RETURNING challengeId`,
+        [userId, challenge.challengeId, challenge.startedOn, challenge.status, challenge.finishedOn]
+      );
+      if (res.rows.length && challenge.status === 'active') hasActive = true;
+      summary.challenges[res.rows.length ? 'imported' : 'skipped']++;
+    }
+
+    await tx.query('INSERT INTO users (userId) VALUES ($1) ON CONFLICT (userId) DO NOTHING', [userId]);
+    const current = (await tx.query('SELECT timeZone, restDays, reminderTime FROM users WHERE userId=$1', [userId])).rows[0];
+    const fill = {
+      timeZone: !current.timezone && settings.timeZone,
+      restDays: !current.restdays && settings.restDays && settings.restDays.length && settings.restDays.join(','),
+      reminderTime: !current.remindertime && settings.reminderTime
+    };
+    for (const [column, value] of Object.entries(fill)) {
+      if (!value) continue;
+      await tx.query(`UPDATE users SET ${column}=$1 WHERE userId=$2`, [value, userId]);
+      summary.settings.push(column);
+    }
+  });
+
+  // imported uploads, time zone and rest days all feed the streaks
+  await recomputeStats(userId);
+  return summary;
+}
+
+// Every table with rows keyed by a user id
+const USER_TABLES = ['uploads', 'sessions', 'timers', 'stats', 'challenges', 'achievements', 'group_members', 'users'];
+
+// Erase a user completely. Returns the fileIds of their uploads, so the
+// caller can remove the images (see retention.removeFiles).
+async function deleteUserData(userId) {
+  let fileIds = [];
+  await db().transaction(async (tx) => {
+    const res = await tx.query('SELECT fileId FROM uploads WHERE userId=$1 AND fileId IS NOT NULL', [userId]);
+    fileIds = res.rows.map((row) => row.fileid);
+    for (const table of USER_TABLES) {
+      await tx.query(`DELETE FROM ${table} WHERE userId=$1`, [userId]);
+    }
+  });
+  return fileIds;
+}
+
+async function closeDatabase() {
+  if (driver) await driver.close();
+  driver = null;
 }
 
 module.exports = {
+  configureDatabase,
   initDatabase,
+  rollbackDatabase,
+  migrationStatus,
+  closeDatabase,
   saveUpload,
+  recomputeStats,
+  rebuildAllStats,
   getUserStats,
-  markSessionComplete,
+  getHistory,
+  listUploads,
+  getUpload,
+  updateUploadDetails,
+  getUserTags,
+  findUploadByTelegramFileId,
+  updateUploadFileId,
+  deleteUpload,
+  isFileReferenced,
+  getReferencedFileIds,
+  startSession,
+  endSession,
+  linkUploadToSession,
+  getTodaySessions,
+  countTodayUploads,
+  getSessionTotals,
   hasUploadedToday,
+  getUserTimeZone,
+  setUserTimeZone,
+  rememberUserTimeZone,
+  getRestDays,
+  setRestDays,
+  getActiveChallenge,
+  startChallenge,
+  leaveChallenge,
+  completeChallenge,
+  getCompletedChallenges,
+  getAchievementProgress,
+  getUnlockedAchievements,
+  unlockAchievement,
+  saveGroup,
+  removeGroup,
+  moveGroup,
+  getGroup,
+  getGroups,
+  getUserGroups,
+  markGroupRecap,
+  addGroupMember,
+  removeGroupMember,
+  getGroupMembers,
+  isGroupMember,
+  setReminderTime,
+  getReminderTime,
+  getReminderUsers,
+  markReminderHandled,
   saveTimer,
   deleteTimer,
-  getAllTimers
+  getAllTimers,
+  getUserExport,
+  importUserData,
+  deleteUserData
 };
@@ -0,0 +1,78 @@
+// dates.js
+// Calendar-day helpers. Days are 'YYYY-MM-DD' strings in the user's own
+// IANA time zone, so day arithmetic never has to think about DST.
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    // en-CA formats dates as YYYY-MM-DD
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// The calendar day an instant falls on in the given zone
+function localDate(timeZone = DEFAULT_TIME_ZONE, date = new Date()) {
+  return formatterFor(timeZone || DEFAULT_TIME_ZONE).format(date);
+}
+
+const timeFormatters = new Map();
+
+// Wall-clock 'HH:MM' (24h) of an instant in the given zone
+function localTime(timeZone = DEFAULT_TIME_ZONE, date = new Date()) {
+  timeZone = timeZone || DEFAULT_TIME_ZONE;
+  if (!timeFormatters.has(timeZone)) {
+    timeFormatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return timeFormatters.get(timeZone).format(date);
+}
+
+// Shift a 'YYYY-MM-DD' day by n calendar days
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Whole calendar days from day a to day b
+function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+}
+
+// 0 = Monday ... 6 = Sunday
+function weekdayOf(day) {
+  return (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  localDate,
+  localTime,
+  addDays,
+  daysBetween,
+  weekdayOf
+};
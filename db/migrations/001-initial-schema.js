@@ -0,0 +1,111 @@
+// 001: the schema as it stood before migrations. Postgres statements are
+// idempotent so deployments created by the old initDatabase adopt it as-is.
+
+const postgres = [
+  `CREATE TABLE IF NOT EXISTS uploads (
+    id SERIAL PRIMARY KEY,
+    userId BIGINT NOT NULL,
+    username TEXT,
+    fileId TEXT,
+    createdAt TIMESTAMP DEFAULT NOW()
+  )`,
+  `CREATE TABLE IF NOT EXISTS stats (
+    userId BIGINT PRIMARY KEY,
+    currentStreak INT DEFAULT 0,
+    longestStreak INT DEFAULT 0,
+    totalUploads INT DEFAULT 0,
+    lastUploadDate DATE
+  )`,
+  `CREATE TABLE IF NOT EXISTS timers (
+    userId BIGINT PRIMARY KEY,
+    duration INT NOT NULL,
+    startTime BIGINT NOT NULL,
+    endTime BIGINT NOT NULL
+  )`,
+  // per-user settings; timeZone is an IANA name, NULL until we learn it
+  `CREATE TABLE IF NOT EXISTS users (
+    userId BIGINT PRIMARY KEY,
+    timeZone TEXT
+  )`,
+  // focus time per finished timer, for history charts
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id SERIAL PRIMARY KEY,
+    userId BIGINT NOT NULL,
+    startedAt TIMESTAMP NOT NULL,
+    focusedMs BIGINT NOT NULL DEFAULT 0
+  )`,
+  // where each upload came from and what the stored file is.
+  // fileId is the storage key (see storage/); telegramFileId keeps the original
+  // Bot API id for photos sent to the bot.
+  `ALTER TABLE uploads
+    ADD COLUMN IF NOT EXISTS source TEXT,
+    ADD COLUMN IF NOT EXISTS telegramFileId TEXT,
+    ADD COLUMN IF NOT EXISTS mimeType TEXT,
+    ADD COLUMN IF NOT EXISTS sizeBytes INT,
+    ADD COLUMN IF NOT EXISTS width INT,
+    ADD COLUMN IF NOT EXISTS height INT`,
+  // older rows: web uploads stored a path, bot photos only a file_id
+  `UPDATE uploads
+    SET source = CASE WHEN fileId LIKE '/%' THEN 'web' ELSE 'telegram' END
+    WHERE source IS NULL`,
+  // pause/resume support
+  `ALTER TABLE timers
+    ADD COLUMN IF NOT EXISTS pausedAt BIGINT,
+    ADD COLUMN IF NOT EXISTS pausedMs BIGINT NOT NULL DEFAULT 0`
+];
+
+// Timestamps are ISO-8601 UTC strings, days 'YYYY-MM-DD'
+const sqlite = [
+  `CREATE TABLE IF NOT EXISTS uploads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId INTEGER NOT NULL,
+    username TEXT,
+    fileId TEXT,
+    source TEXT,
+    telegramFileId TEXT,
+    mimeType TEXT,
+    sizeBytes INTEGER,
+    width INTEGER,
+    height INTEGER,
+    createdAt TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  )`,
+  `CREATE TABLE IF NOT EXISTS stats (
+    userId INTEGER PRIMARY KEY,
+    currentStreak INTEGER DEFAULT 0,
+    longestStreak INTEGER DEFAULT 0,
+    totalUploads INTEGER DEFAULT 0,
+    lastUploadDate TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS timers (
+    userId INTEGER PRIMARY KEY,
+    duration INTEGER NOT NULL,
+    startTime INTEGER NOT NULL,
+    endTime INTEGER NOT NULL,
+    pausedAt INTEGER,
+    pausedMs INTEGER NOT NULL DEFAULT 0
+  )`,
+  `CREATE TABLE IF NOT EXISTS users (
+    userId INTEGER PRIMARY KEY,
+    timeZone TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId INTEGER NOT NULL,
+    startedAt TEXT NOT NULL,
+    focusedMs INTEGER NOT NULL DEFAULT 0
+  )`
+];
+
+async function up(db) {
+  for (const sql of db.dialect === 'postgres' ? postgres : sqlite) {
+    await db.query(sql);
+  }
+}
+
+async function down(db) {
+  for (const table of ['sessions', 'users', 'timers', 'stats', 'uploads']) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+// 002: indexes for the per-user, time-ordered queries behind streaks,
+// stats windows and history. Same syntax on Postgres and SQLite.
+
+async function up(db) {
+  await db.query('CREATE INDEX IF NOT EXISTS idx_uploads_user_created ON uploads (userId, createdAt)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_sessions_user_started ON sessions (userId, startedAt)');
+}
+
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_sessions_user_started');
+  await db.query('DROP INDEX IF EXISTS idx_uploads_user_created');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+// 003: daily reminder settings. reminderTime is 'HH:MM' in the user's
+// zone (NULL = off); the last*Date columns hold the local day a message
+// was last handled, so restarts neither skip nor repeat one.
+
+const COLUMNS = ['reminderTime', 'lastReminderDate', 'lastWarningDate'];
+
+async function up(db) {
+  for (const column of COLUMNS) {
+    await db.query(`ALTER TABLE users ADD COLUMN ${column} TEXT`);
+  }
+}
+
+async function down(db) {
+  for (const column of COLUMNS) {
+    await db.query(`ALTER TABLE users DROP COLUMN ${column}`);
+  }
+}
+
+module.exports = { up, down };
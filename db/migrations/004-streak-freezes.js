@@ -0,0 +1,15 @@
+// 004: weekly rest days and streak freezes. users.restDays is a comma
+// separated list of weekday names ('sat,sun', NULL = none); freezes are
+// derived from upload days, stats.freezesAvailable only caches the count.
+
+async function up(db) {
+  await db.query('ALTER TABLE users ADD COLUMN restDays TEXT');
+  await db.query('ALTER TABLE stats ADD COLUMN freezesAvailable INTEGER DEFAULT 0');
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE stats DROP COLUMN freezesAvailable');
+  await db.query('ALTER TABLE users DROP COLUMN restDays');
+}
+
+module.exports = { up, down };
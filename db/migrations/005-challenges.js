@@ -0,0 +1,22 @@
+// 005: challenge enrolments. A user has at most one row with status
+// 'active'; finished ones stay as 'completed' or 'left'. Days are the
+// user's local 'YYYY-MM-DD'. Same syntax on Postgres and SQLite.
+
+async function up(db) {
+  await db.query(`CREATE TABLE IF NOT EXISTS challenges (
+    userId BIGINT NOT NULL,
+    challengeId TEXT NOT NULL,
+    startedOn TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active',
+    finishedOn TEXT,
+    PRIMARY KEY (userId, challengeId, startedOn)
+  )`);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_challenges_user_status ON challenges (userId, status)');
+}
+
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_challenges_user_status');
+  await db.query('DROP TABLE IF EXISTS challenges');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// 006: group leaderboards. chat_groups holds every group the bot is in;
+// group_members the users who opted in there with /join. lastRecapDate is
+// the recap day (in GROUP_RECAP_TIME_ZONE) of the last weekly recap.
+// Same syntax on Postgres and SQLite.
+
+async function up(db) {
+  await db.query(`CREATE TABLE IF NOT EXISTS chat_groups (
+    chatId BIGINT PRIMARY KEY,
+    title TEXT,
+    addedAt TEXT NOT NULL,
+    lastRecapDate TEXT
+  )`);
+  await db.query(`CREATE TABLE IF NOT EXISTS group_members (
+    chatId BIGINT NOT NULL,
+    userId BIGINT NOT NULL,
+    username TEXT,
+    joinedAt TEXT NOT NULL,
+    PRIMARY KEY (chatId, userId)
+  )`);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members (userId)');
+}
+
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_group_members_user');
+  await db.query('DROP TABLE IF EXISTS group_members');
+  await db.query('DROP TABLE IF EXISTS chat_groups');
+}
+
+module.exports = { up, down };
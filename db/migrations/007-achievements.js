@@ -0,0 +1,18 @@
+// 007: unlocked badges, one row per user and achievement id (see
+// achievements.js). unlockedAt is an ISO-8601 UTC string.
+// Same syntax on Postgres and SQLite.
+
+async function up(db) {
+  await db.query(`CREATE TABLE IF NOT EXISTS achievements (
+    userId BIGINT NOT NULL,
+    achievementId TEXT NOT NULL,
+    unlockedAt TEXT NOT NULL,
+    PRIMARY KEY (userId, achievementId)
+  )`);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS achievements');
+}
+
+module.exports = { up, down };
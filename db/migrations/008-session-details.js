@@ -0,0 +1,43 @@
+// 008: sessions become a record of every timer. A row is created when a
+// timer starts and closed with its outcome ('completed', 'cancelled' or
+// 'expired'); outcome NULL means it is still running. timers.sessionId
+// points at the open row. Rows from before this only existed for timers
+// that had ended, so they are marked completed.
+
+const COLUMNS = {
+  postgres: [
+    'plannedMinutes INT',
+    'endedAt TIMESTAMP',
+    'pausedMs BIGINT NOT NULL DEFAULT 0',
+    'pauseCount INT NOT NULL DEFAULT 0',
+    'outcome TEXT',
+    'uploadId INT'
+  ],
+  sqlite: [
+    'plannedMinutes INTEGER',
+    'endedAt TEXT',
+    'pausedMs INTEGER NOT NULL DEFAULT 0',
+    'pauseCount INTEGER NOT NULL DEFAULT 0',
+    'outcome TEXT',
+    'uploadId INTEGER'
+  ]
+};
+
+async function up(db) {
+  for (const column of COLUMNS[db.dialect]) {
+    await db.query(`ALTER TABLE sessions ADD COLUMN ${column}`);
+  }
+  await db.query("UPDATE sessions SET outcome='completed', endedAt=startedAt WHERE outcome IS NULL");
+  await db.query(`ALTER TABLE timers ADD COLUMN sessionId ${db.dialect === 'postgres' ? 'INT' : 'INTEGER'}`);
+  await db.query(`ALTER TABLE timers ADD COLUMN pauseCount ${db.dialect === 'postgres' ? 'INT' : 'INTEGER'} NOT NULL DEFAULT 0`);
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE timers DROP COLUMN pauseCount');
+  await db.query('ALTER TABLE timers DROP COLUMN sessionId');
+  for (const column of COLUMNS[db.dialect].slice().reverse()) {
+    await db.query(`ALTER TABLE sessions DROP COLUMN ${column.split(' ')[0]}`);
+  }
+}
+
+module.exports = { up, down };
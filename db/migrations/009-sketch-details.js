@@ -0,0 +1,20 @@
+// 009: what an artist says about a sketch (see details.js). caption is
+// free text; medium is a lowercased word or two like 'ink'; tags is a
+// comma-separated list of lowercased tags, NULL when there are none.
+// Same syntax on Postgres and SQLite.
+
+const COLUMNS = ['caption', 'medium', 'tags'];
+
+async function up(db) {
+  for (const column of COLUMNS) {
+    await db.query(`ALTER TABLE uploads ADD COLUMN ${column} TEXT`);
+  }
+}
+
+async function down(db) {
+  for (const column of COLUMNS.slice().reverse()) {
+    await db.query(`ALTER TABLE uploads DROP COLUMN ${column}`);
+  }
+}
+
+module.exports = { up, down };
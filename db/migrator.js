@@ -0,0 +1,90 @@
+// db/migrator.js
+// Numbered schema migrations. Each file in db/migrations is named
+// NNN-description.js and exports up(db) / down(db), where db is
+// { dialect, query } bound to a transaction. Applied versions are
+// recorded in schema_migrations.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter((file) => /^\d+-[\w-]+\.js$/.test(file))
+    .map((file) => ({
+      version: parseInt(file, 10),
+      name: path.basename(file, '.js'),
+      ...require(path.join(dir, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(driver) {
+  await driver.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT NOT NULL
+    )
+  `);
+}
+
+// version -> appliedAt
+async function getApplied(driver) {
+  await ensureMigrationsTable(driver);
+  const res = await driver.query('SELECT version, appliedAt FROM schema_migrations');
+  return new Map(res.rows.map((row) => [Number(row.version), row.appliedat]));
+}
+
+// Apply every pending migration in order; returns the names applied
+async function migrate(driver, { migrations = loadMigrations() } = {}) {
+  const applied = await getApplied(driver);
+  const done = [];
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+
+    await driver.transaction(async (tx) => {
+      await migration.up(tx);
+      await tx.query(
+        'INSERT INTO schema_migrations (version, name, appliedAt) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    });
+    done.push(migration.name);
+  }
+  return done;
+}
+
+// Undo the last `steps` applied migrations; returns the names rolled back
+async function rollback(driver, { steps = 1, migrations = loadMigrations() } = {}) {
+  const applied = await getApplied(driver);
+  const targets = migrations
+    .filter((migration) => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of targets) {
+    await driver.transaction(async (tx) => {
+      await migration.down(tx);
+      await tx.query('DELETE FROM schema_migrations WHERE version=$1', [migration.version]);
+    });
+  }
+  return targets.map((migration) => migration.name);
+}
+
+async function status(driver, { migrations = loadMigrations() } = {}) {
+  const applied = await getApplied(driver);
+  return migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.get(migration.version) || null
+  }));
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  status
+};
@@ -0,0 +1,40 @@
+// db/postgres.js
+// Postgres driver: a pg Pool behind the { dialect, query, transaction, close }
+// interface shared with db/sqlite.js. The schema lives in db/migrations.
+const { Pool, types } = require('pg');
+
+// Keep DATE columns as 'YYYY-MM-DD' strings instead of local-midnight Dates
+types.setTypeParser(types.builtins.DATE, (value) => value);
+// TIMESTAMP columns hold UTC wall time; don't let pg read them as local time
+types.setTypeParser(types.builtins.TIMESTAMP, (value) => new Date(`${value.replace(' ', 'T')}Z`));
+
+function createPostgresDriver({ connectionString, ssl = { rejectUnauthorized: false } }) {
+  const pool = new Pool({ connectionString, ssl });
+
+  // Run fn({ dialect, query }) inside BEGIN/COMMIT on one pooled client
+  async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn({ dialect: 'postgres', query: (sql, params = []) => client.query(sql, params) });
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    dialect: 'postgres',
+    query: (sql, params = []) => pool.query(sql, params),
+    transaction,
+    close: () => pool.end()
+  };
+}
+
+module.exports = {
+  createPostgresDriver
+};
@@ -0,0 +1,79 @@
+// db/sqlite.js
+// SQLite driver for running without a Postgres server. Queries use the
+// same $1, $2 placeholders as pg and return { rows } with lower-cased
+// column names, so database.js doesn't need to know which one it talks to.
+// The schema lives in db/migrations.
+const sqlite3 = require('sqlite3');
+
+function createSqliteDriver({ filename }) {
+  const db = new sqlite3.Database(filename);
+  db.configure('busyTimeout', 5000);
+
+  function run(sql, params = []) {
+    const bindings = {};
+    params.forEach((value, i) => {
+      bindings[`$${i + 1}`] = value instanceof Date ? value.toISOString() : value;
+    });
+
+    return new Promise((resolve, reject) => {
+      db.all(sql, bindings, (err, rows) => {
+        if (err) return reject(err);
+        resolve({ rows: rows.map(lowerCaseKeys) });
+      });
+    });
+  }
+
+  // There is only one connection, and BEGIN/COMMIT apply to everything
+  // sent on it. So while a transaction is open, every other query and
+  // transaction waits for it to finish; otherwise a concurrent request's
+  // write would join it (and be undone by its ROLLBACK), and a second
+  // BEGIN would fail. Queries inside fn go through tx.query, never
+  // through the driver's own query, or they would wait for themselves.
+  // The wait loop and what follows it must run without an await in
+  // between, so nothing can start a transaction after the check.
+  let current = null;
+
+  async function query(sql, params = []) {
+    while (current) await current.catch(() => {});
+    return run(sql, params);
+  }
+
+  async function transaction(fn) {
+    while (current) await current.catch(() => {});
+    const tx = { dialect: 'sqlite', query: run };
+    const pending = (async () => {
+      await run('BEGIN');
+      try {
+        const result = await fn(tx);
+        await run('COMMIT');
+        return result;
+      } catch (err) {
+        await run('ROLLBACK');
+        throw err;
+      }
+    })();
+    current = pending;
+    try {
+      return await pending;
+    } finally {
+      if (current === pending) current = null;
+    }
+  }
+
+  return {
+    dialect: 'sqlite',
+    query,
+    transaction,
+    close: () => new Promise((resolve, reject) => db.close((err) => (err ? reject(err) : resolve())))
+  };
+}
+
+function lowerCaseKeys(row) {
+  const out = {};
+  for (const key of Object.keys(row)) out[key.toLowerCase()] = row[key];
+  return out;
+}
+
+module.exports = {
+  createSqliteDriver
+};
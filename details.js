@@ -0,0 +1,99 @@
+// details.js
+// What an artist can say about a sketch besides the image: a caption, up
+// to MAX_TAGS tags and the medium. Tags and medium are free text, stored
+// lowercased; MEDIUMS are only suggestions. From the Mini-App they arrive
+// as form fields; from the bot they come out of the photo caption, where
+// #hashtags become tags and one naming a known medium sets the medium.
+
+const MAX_CAPTION_LENGTH = 1024; // Telegram's own caption limit
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+const MAX_MEDIUM_LENGTH = 32;
+
+const MEDIUMS = ['pencil', 'ink', 'charcoal', 'pastel', 'marker', 'ballpoint', 'watercolor', 'gouache', 'digital'];
+
+// Letters (any script), digits, '_' and '-', like Telegram hashtags
+const TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+const HASHTAG_PATTERN = /#([\p{L}\p{N}_-]+)/gu;
+const MEDIUM_PATTERN = /^[\p{L}\p{N}_ -]+$/u;
+
+class DetailsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DetailsError';
+    }
+}
+
+// '#Ink' -> 'ink'; throws DetailsError for anything that isn't a tag
+function parseTag(value) {
+    const tag = String(value).trim().replace(/^#/, '').toLowerCase();
+    if (!tag || tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag)) {
+        throw new DetailsError(`"${value}" is not a valid tag (letters, digits, - and _, up to ${MAX_TAG_LENGTH} characters)`);
+    }
+    return tag;
+}
+
+// An array or a comma/space separated string -> distinct tags, in order
+function parseTags(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+    const tags = [...new Set(items.filter((item) => String(item).trim()).map(parseTag))];
+    if (tags.length > MAX_TAGS) throw new DetailsError(`A sketch can have at most ${MAX_TAGS} tags`);
+    return tags;
+}
+
+function parseMedium(value) {
+    if (value === undefined || value === null) return null;
+    const medium = String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+    if (!medium) return null;
+    if (medium.length > MAX_MEDIUM_LENGTH || !MEDIUM_PATTERN.test(medium)) {
+        throw new DetailsError(`"${value}" is not a valid medium (up to ${MAX_MEDIUM_LENGTH} letters, digits and spaces)`);
+    }
+    return medium;
+}
+
+function parseCaption(value) {
+    if (value === undefined || value === null) return null;
+    const caption = String(value).trim();
+    if (caption.length > MAX_CAPTION_LENGTH) {
+        throw new DetailsError(`Captions can be at most ${MAX_CAPTION_LENGTH} characters`);
+    }
+    return caption || null;
+}
+
+// { caption, tags, medium } as sent by a client -> the stored form.
+// Only the fields present in input are returned, so the result can also
+// describe a partial update. Throws DetailsError.
+function parseDetails(input = {}) {
+    const details = {};
+    if (input.caption !== undefined) details.caption = parseCaption(input.caption);
+    if (input.tags !== undefined) details.tags = parseTags(input.tags);
+    if (input.medium !== undefined) details.medium = parseMedium(input.medium);
+    return details;
+}
+
+// A Telegram photo caption -> { caption, tags, medium }. Never throws:
+// hashtags that don't fit are dropped rather than refusing the photo.
+function detailsFromCaption(text) {
+    const caption = text ? String(text).trim().slice(0, MAX_CAPTION_LENGTH) || null : null;
+    const tags = [];
+    let medium = null;
+    for (const [, name] of (caption || '').matchAll(HASHTAG_PATTERN)) {
+        const tag = name.toLowerCase();
+        if (tag.length > MAX_TAG_LENGTH || tag === medium) continue;
+        if (!medium && MEDIUMS.includes(tag)) {
+            medium = tag;
+        } else if (!tags.includes(tag) && tags.length < MAX_TAGS) {
+            tags.push(tag);
+        }
+    }
+    return { caption, tags, medium };
+}
+
+module.exports = {
+    MEDIUMS,
+    DetailsError,
+    parseTag,
+    parseDetails,
+    detailsFromCaption
+};
@@ -0,0 +1,75 @@
+// gallery.js
+// Resolves sketches to signed image and thumbnail URLs. Thumbnails are
+// generated on first use and kept in storage next to the originals.
+// Rows from before the storage layer (a path on disk, or a bare Telegram
+// file_id) are copied into storage the first time they are shown.
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { describeImage } = require('./photos');
+
+const THUMBNAIL_SIZE = 320;
+
+// Thumbnails are named after the original's content hash
+function thumbnailKeyFor(key) {
+    return `thumbnails/${path.posix.basename(key, path.posix.extname(key))}.jpg`;
+}
+
+// telegramFiles: a client from photos.createTelegramFileClient (or a stub)
+// updateFileId(id, key): persists the new storage key of a legacy row
+function createGallery({ storage, telegramFiles, updateFileId }) {
+    // Storage key of a sketch's original, migrating legacy rows
+    async function ensureStored(sketch) {
+        const legacyPath = path.isAbsolute(sketch.fileId);
+        if (!legacyPath && sketch.fileId.includes('/')) return sketch.fileId;
+
+        const buffer = legacyPath
+            ? await fs.promises.readFile(sketch.fileId)
+            : await telegramFiles.download(sketch.fileId);
+        const { mimeType } = await describeImage(buffer);
+        const key = await storage.putContent(buffer, { contentType: mimeType });
+
+        await updateFileId(sketch.id, key);
+        sketch.fileId = key;
+        return key;
+    }
+
+    // Square JPEG thumbnail
+    async function ensureThumbnail(sketch) {
+        const key = await ensureStored(sketch);
+        const thumbKey = thumbnailKeyFor(key);
+
+        if (!(await storage.exists(thumbKey))) {
+            const buffer = await sharp(await storage.get(key))
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+            await storage.driver.put(thumbKey, buffer, 'image/jpeg');
+        }
+        return thumbKey;
+    }
+
+    // Short-lived read URLs for one sketch. A sketch whose image can't be
+    // read (a legacy file that is gone, a failed Telegram download) gets
+    // null URLs, so one bad row doesn't break a whole gallery page.
+    async function getUrls(sketch) {
+        try {
+            const thumbKey = await ensureThumbnail(sketch);
+            return {
+                imageUrl: await storage.getReadUrl(sketch.fileId),
+                thumbnailUrl: await storage.getReadUrl(thumbKey)
+            };
+        } catch (err) {
+            console.error(`Gallery: image of sketch ${sketch.id} unavailable:`, err.message);
+            return { imageUrl: null, thumbnailUrl: null };
+        }
+    }
+
+    return { ensureStored, ensureThumbnail, getUrls };
+}
+
+module.exports = {
+    thumbnailKeyFor,
+    createGallery
+};
@@ -0,0 +1,145 @@
+// groups.js
+// Group leaderboards. When the bot is added to a group, members opt in
+// with /join; the leaderboard ranks them by current streak, then by
+// sketches in the last 7 days. A weekly recap goes to every group at
+// recapDay/recapTime in recapTimeZone. Like reminders, the day it was sent
+// is stored, so a restart neither skips nor repeats one.
+const { localDate, localTime, addDays, weekdayOf } = require('./dates');
+const { WEEKDAYS } = require('./streaks');
+
+const TICK_MS = 60 * 1000;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// Mini-App start_param for a group: 'group-100123' <-> -100123
+function groupStartParam(chatId) {
+    return `group${chatId}`;
+}
+
+function parseGroupStartParam(startParam) {
+    const match = /^group(-?\d+)$/.exec(startParam || '');
+    return match ? Number(match[1]) : null;
+}
+
+// Inline button opening the Mini-App in this group's context. Web App
+// buttons only work in private chats, so groups get a t.me deep link.
+function leaderboardKeyboard(appLink, chatId) {
+    if (!appLink) return undefined;
+    const url = `${appLink}?startapp=${encodeURIComponent(groupStartParam(chatId))}`;
+    return { inline_keyboard: [[{ text: '🏆 Open leaderboard', url }]] };
+}
+
+// db: { getGroupMembers, getUserStats }
+async function getLeaderboard(db, chatId, now = new Date()) {
+    const rows = [];
+    for (const member of await db.getGroupMembers(chatId)) {
+        const stats = await db.getUserStats(member.userId, { historyDays: 1, now });
+        rows.push({
+            userId: member.userId,
+            username: member.username || 'Artist',
+            currentStreak: stats.currentStreak,
+            weekCount: stats.weekCount,
+            hasUploadedToday: stats.hasUploadedToday
+        });
+    }
+
+    rows.sort((a, b) => b.currentStreak - a.currentStreak
+        || b.weekCount - a.weekCount
+        || a.username.localeCompare(b.username));
+    return rows.map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+function formatLeaderboard(rows) {
+    if (!rows.length) return 'Nobody has joined yet. Send /join to be the first!';
+    return rows
+        .map((row) => `${MEDALS[row.rank - 1] || `${row.rank}.`} ${row.username} — 🔥 ${row.currentStreak} · ${row.weekCount} this week`)
+        .join('\n');
+}
+
+// db: { getGroups, getGroupMembers, getUserStats, markGroupRecap, removeGroup }
+// clock: { now() } returning epoch ms; pass a fake one in tests and call tick()
+function createRecapScheduler({
+    telegram,
+    db,
+    recapDay = 'mon',
+    recapTime = '09:00',
+    timeZone = 'UTC',
+    appLink = null,
+    clock = Date
+}) {
+    const recapWeekday = Math.max(WEEKDAYS.indexOf(recapDay), 0);
+    let interval = null;
+    let running = false;
+
+    // The most recent recap day whose recap time has passed
+    function latestRecapDay(now) {
+        const today = localDate(timeZone, now);
+        const day = addDays(today, -((weekdayOf(today) - recapWeekday + 7) % 7));
+        if (day === today && localTime(timeZone, now) < recapTime) return addDays(day, -7);
+        return day;
+    }
+
+    async function postRecap(group, day, now) {
+        const rows = await getLeaderboard(db, group.chatId, now);
+        if (rows.length) {
+            const total = rows.reduce((sum, row) => sum + row.weekCount, 0);
+            const text = `📅 Weekly recap${group.title ? ` for ${group.title}` : ''}\n\n${formatLeaderboard(rows)}\n\n🎨 ${total} sketch${total === 1 ? '' : 'es'} this week from ${rows.length} artist${rows.length === 1 ? '' : 's'}. Keep it up!`;
+            try {
+                await telegram.sendMessage(group.chatId, text, { reply_markup: leaderboardKeyboard(appLink, group.chatId) });
+            } catch (err) {
+                // 403: the bot was removed from the group
+                if (err.response && err.response.error_code === 403) {
+                    await db.removeGroup(group.chatId);
+                    console.log(`Group ${group.chatId} removed (bot no longer a member)`);
+                    return;
+                }
+                throw err;
+            }
+        }
+        await db.markGroupRecap(group.chatId, day);
+    }
+
+    async function tick() {
+        if (running) return;
+        running = true;
+        try {
+            const now = new Date(clock.now());
+            const day = latestRecapDay(now);
+            for (const group of await db.getGroups()) {
+                // lastRecapDate starts as the day the group was added, so new
+                // groups wait for the next recap day
+                if (group.lastRecapDate && group.lastRecapDate >= day) continue;
+                try {
+                    await postRecap(group, day, now);
+                } catch (err) {
+                    console.error(`Recap error for group ${group.chatId}:`, err);
+                }
+            }
+        } catch (err) {
+            console.error('Recap tick error:', err);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        tick,
+        start() {
+            if (interval) return;
+            tick();
+            interval = setInterval(tick, TICK_MS);
+        },
+        stop() {
+            clearInterval(interval);
+            interval = null;
+        }
+    };
+}
+
+module.exports = {
+    groupStartParam,
+    parseGroupStartParam,
+    leaderboardKeyboard,
+    getLeaderboard,
+    formatLeaderboard,
+    createRecapScheduler
+};
@@ -0,0 +1,154 @@
+// images.js
+// Every sketch image goes through processImage before it is stored. The
+// type is sniffed from the file's first bytes; the declared MIME type and
+// file name are never trusted. The image is then decoded in full, so
+// truncated or corrupt files are refused. EXIF orientation is applied and
+// all metadata dropped (EXIF including GPS, XMP, IPTC, text chunks). Images
+// over maxDimension on their longest side are scaled down. WebP, HEIC and
+// AVIF are converted to JPEG, or PNG when they have transparency. Prebuilt
+// sharp can't decode HEVC, so HEIC goes through heic-decode (libheif in
+// WebAssembly) first.
+// Images that are already clean JPEG or PNG are stored byte for byte.
+// Re-encoding them would change their content hash, and with it the
+// duplicate checks on import.
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+
+// Refuse anything bigger before decoding; 50 MP is plenty for a sketch
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const DEFAULT_MAX_DIMENSION = 4096;
+const JPEG_QUALITY = 90;
+
+// ISO-BMFF brands (bytes 8-12, after 'ftyp') of HEIC/HEIF and AVIF files
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+class ImageError extends Error {
+    constructor(message, code, status = 422) {
+        super(message);
+        this.name = 'ImageError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// 'jpeg' | 'png' | 'webp' | 'heic' | 'avif', or null for anything else
+function sniffImageType(buffer) {
+    if (buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('latin1', 8, 12);
+        if (HEIF_BRANDS.includes(brand)) return 'heic';
+        if (AVIF_BRANDS.includes(brand)) return 'avif';
+    }
+    return null;
+}
+
+// HEIC -> { input, options, meta } for sharp, holding the decoded RGBA
+// pixels. libheif applies the rotation and mirroring stored in the file;
+// EXIF and XMP stay behind. Returns null if libheif can't read it, e.g. an
+// AVIF with a generic 'mif1' brand, so sharp gets to try instead.
+async function readHeic(input) {
+    let images;
+    try {
+        images = await decodeHeic.all({ buffer: input });
+    } catch (err) {
+        return null;
+    }
+    try {
+        const [{ width, height }] = images;
+        if (width * height > MAX_INPUT_PIXELS) {
+            throw new ImageError(`Images can have at most ${MAX_INPUT_PIXELS / 1e6} megapixels`, 'IMAGE_TOO_LARGE', 413);
+        }
+        const { data } = await images[0].decode();
+        const pixels = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        const raw = { width, height, channels: 4 };
+        const { isOpaque } = await sharp(pixels, { raw }).stats();
+        return {
+            input: pixels,
+            options: { raw, limitInputPixels: MAX_INPUT_PIXELS },
+            meta: { width, height, hasAlpha: !isOpaque }
+        };
+    } catch (err) {
+        if (err instanceof ImageError) throw err;
+        throw new ImageError('The image is damaged or incomplete', 'INVALID_IMAGE');
+    } finally {
+        images.dispose();
+    }
+}
+
+// Anything that rules out storing the file as it is
+function needsProcessing(type, meta, maxDimension) {
+    return (type !== 'jpeg' && type !== 'png')
+        || (meta.orientation && meta.orientation !== 1)
+        || Boolean(meta.exif || meta.xmp || meta.iptc || meta.icc || (meta.comments && meta.comments.length))
+        || Math.max(meta.width, meta.height) > maxDimension;
+}
+
+// buffer -> { buffer, mimeType, sizeBytes, width, height, processed }.
+// Throws ImageError: 415 UNSUPPORTED_TYPE, 413 IMAGE_TOO_LARGE or
+// 422 INVALID_IMAGE.
+async function processImage(input, { maxDimension = DEFAULT_MAX_DIMENSION } = {}) {
+    const type = sniffImageType(input);
+    if (!type) {
+        throw new ImageError('Only PNG, JPEG, WebP and HEIC images can be uploaded', 'UNSUPPORTED_TYPE', 415);
+    }
+
+    const heic = type === 'heic' ? await readHeic(input) : null;
+    const source = heic ? heic.input : input;
+    const options = heic ? heic.options : { failOn: 'warning', limitInputPixels: MAX_INPUT_PIXELS };
+    let meta = heic && heic.meta;
+    if (!meta) {
+        try {
+            meta = await sharp(input, options).metadata();
+        } catch (err) {
+            throw new ImageError('The file is not a readable image', 'INVALID_IMAGE');
+        }
+    }
+    if (!meta.width || !meta.height) throw new ImageError('The file is not a readable image', 'INVALID_IMAGE');
+    if (meta.width * meta.height > MAX_INPUT_PIXELS) {
+        throw new ImageError(`Images can have at most ${MAX_INPUT_PIXELS / 1e6} megapixels`, 'IMAGE_TOO_LARGE', 413);
+    }
+
+    try {
+        if (!needsProcessing(type, meta, maxDimension)) {
+            // decode every pixel anyway to catch truncated files
+            await sharp(input, options).stats();
+            return {
+                buffer: input,
+                mimeType: `image/${type}`,
+                sizeBytes: input.length,
+                width: meta.width,
+                height: meta.height,
+                processed: false
+            };
+        }
+
+        // rotate() applies and then drops the EXIF orientation; without
+        // withMetadata() sharp writes no metadata and converts to sRGB
+        const image = sharp(source, options)
+            .rotate()
+            .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true });
+        const asPng = type === 'png' || (type !== 'jpeg' && meta.hasAlpha);
+        const { data, info } = await (asPng ? image.png() : image.jpeg({ quality: JPEG_QUALITY }))
+            .toBuffer({ resolveWithObject: true });
+        return {
+            buffer: data,
+            mimeType: asPng ? 'image/png' : 'image/jpeg',
+            sizeBytes: data.length,
+            width: info.width,
+            height: info.height,
+            processed: true
+        };
+    } catch (err) {
+        throw new ImageError('The image is damaged or incomplete', 'INVALID_IMAGE');
+    }
+}
+
+module.exports = {
+    ImageError,
+    sniffImageType,
+    processImage
+};
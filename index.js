@@ -2,52 +2,500 @@ const { Telegraf } = require('telegraf');
 const express = require('express');
 const path = require('path');
 const multer = require('multer');
-const fs = require('fs');
+const crypto = require('crypto');
 
-// Timer tracking storage
-// userId -> { duration, startTime, endTime, timeoutId }
+// Timer tracking storage, mirrored in the timers table so it survives restarts
+// userId -> { duration, startTime, endTime, pausedAt, pausedMs, timeoutId }
 const activeTimers = new Map();
 
-const { initDatabase, saveUpload, getUserStats, markSessionComplete, hasUploadedToday } = require('./database');
+// Timers that ended while the server was down still get their message
+// if we come back within this window; older ones are dropped as missed.
+const MISSED_TIMER_GRACE_MS = parseInt(process.env.MISSED_TIMER_GRACE_MINUTES || '60') * 60 * 1000;
 
-// Initialize bot and express app
+const {
+    initDatabase,
+    closeDatabase,
+    saveUpload,
+    getUserStats,
+    getHistory,
+    listUploads,
+    updateUploadDetails,
+    getUserTags,
+    findUploadByTelegramFileId,
+    updateUploadFileId,
+    deleteUpload,
+    isFileReferenced,
+    getReferencedFileIds,
+    startSession,
+    endSession,
+    linkUploadToSession,
+    getTodaySessions,
+    countTodayUploads,
+    hasUploadedToday,
+    getUserTimeZone,
+    setUserTimeZone,
+    rememberUserTimeZone,
+    getRestDays,
+    setRestDays,
+    getActiveChallenge,
+    startChallenge,
+    leaveChallenge,
+    completeChallenge,
+    getCompletedChallenges,
+    getAchievementProgress,
+    getUnlockedAchievements,
+    unlockAchievement,
+    saveGroup,
+    removeGroup,
+    moveGroup,
+    getGroup,
+    getGroups,
+    getUserGroups,
+    markGroupRecap,
+    addGroupMember,
+    removeGroupMember,
+    getGroupMembers,
+    isGroupMember,
+    setReminderTime,
+    getReminderTime,
+    getReminderUsers,
+    markReminderHandled,
+    saveTimer,
+    deleteTimer,
+    getAllTimers,
+    getUserExport,
+    importUserData,
+    deleteUserData
+} = require('./database');
+const { createAuthMiddleware } = require('./auth');
+const { isValidTimeZone, localDate } = require('./dates');
+const { createGallery } = require('./gallery');
+const { createTelegramFileClient, createLocalFileClient, createPhotoImporter } = require('./photos');
+const { ImageError, processImage } = require('./images');
+const { MEDIUMS, DetailsError, parseTag, parseDetails, detailsFromCaption } = require('./details');
+const { createStorage, storageConfigFromEnv } = require('./storage');
+const { createReminderScheduler, parseReminderTime } = require('./reminders');
+const { MAX_REST_DAYS, parseRestDays } = require('./streaks');
+const { loadPromptLibrary, createPrompts } = require('./prompts');
+const { createAchievements } = require('./achievements');
+const { createSessionPolicy } = require('./policy');
+const { createRateLimiter, rateLimit, createUploadQuota } = require('./limits');
+const { ArchiveError, createArchive } = require('./archive');
+const { createRetention } = require('./retention');
+const {
+    parseGroupStartParam,
+    leaderboardKeyboard,
+    getLeaderboard,
+    formatLeaderboard,
+    createRecapScheduler
+} = require('./groups');
+
+// Initialize bot and express app. TELEGRAM_API_ROOT points the bot at a
+// self-hosted Bot API server (or a stand-in in tests).
 console.log('BOT_TOKEN available:', !!process.env.BOT_TOKEN);
-const bot = new Telegraf(process.env.BOT_TOKEN || 'your_bot_token_here');
+const bot = new Telegraf(process.env.BOT_TOKEN || 'your_bot_token_here', {
+    telegram: { apiRoot: process.env.TELEGRAM_API_ROOT }
+});
 const app = express();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, 'uploads');
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+// Sketch image storage (local disk or S3-compatible, see storage/)
+const sketchStorage = createStorage(storageConfigFromEnv(process.env, {
+    defaultDir: path.join(__dirname, 'uploads'),
+    // Without a configured secret, derive one from the bot token
+    fallbackSecret: process.env.BOT_TOKEN
+        ? crypto.createHmac('sha256', 'sketch-storage').update(process.env.BOT_TOKEN).digest('hex')
+        : crypto.randomBytes(32).toString('hex')
+}));
+
+// Configure multer for file uploads; files stay in memory until stored.
+// The declared type isn't checked here: images.processImage sniffs the
+// real one, and archive.importArchive validates archives.
+const UPLOAD_MAX_BYTES = 10 * 1024 * 1024;
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 }
+});
+
+// Longest side of a stored sketch; bigger images are scaled down
+const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION || '4096');
+
+// History archives for /import, up to IMPORT_MAX_MB packed and
+// IMPORT_MAX_UNPACKED_MB once inflated
+const IMPORT_MAX_BYTES = parseInt(process.env.IMPORT_MAX_MB || '50') * 1024 * 1024;
+const IMPORT_MAX_UNPACKED_BYTES = parseInt(process.env.IMPORT_MAX_UNPACKED_MB || '64') * 1024 * 1024;
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed'];
+const archiveUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_MAX_BYTES, files: 1 }
+});
+
+// Bot API file access, or files from TELEGRAM_FILES_DIR for tests
+const telegramFiles = process.env.TELEGRAM_FILES_DIR
+    ? createLocalFileClient(process.env.TELEGRAM_FILES_DIR)
+    : createTelegramFileClient(bot.telegram);
+
+const photoImporter = createPhotoImporter({
+    client: telegramFiles,
+    storage: sketchStorage,
+    maxDimension: IMAGE_MAX_DIMENSION
+});
+
+const gallery = createGallery({
+    storage: sketchStorage,
+    telegramFiles,
+    updateFileId: updateUploadFileId
+});
+
+// Removal of stored images no upload uses any more: right away when a
+// sketch or account is deleted, and in a periodic sweep for the rest
+const retention = createRetention({
+    storage: sketchStorage,
+    db: { isFileReferenced, getReferencedFileIds },
+    graceMs: parseInt(process.env.FILE_RETENTION_HOURS || '24') * 60 * 60 * 1000,
+    intervalMs: parseInt(process.env.FILE_SWEEP_INTERVAL_HOURS || '24') * 60 * 60 * 1000
+});
+
+// Daily reminders and evening streak warnings
+const DEFAULT_REMINDER_TIME = process.env.REMINDER_DEFAULT_TIME || '19:00';
+const reminders = createReminderScheduler({
+    telegram: bot.telegram,
+    db: { getReminderUsers, getUserStats, markReminderHandled, setReminderTime },
+    warningTime: process.env.STREAK_WARNING_TIME || '21:00'
+});
+
+// Group leaderboards and the weekly recap posted to each group.
+// MINI_APP_LINK is the t.me link of the Mini-App (https://t.me/<bot>/<app>),
+// used for buttons in groups where Web App buttons aren't allowed.
+const MINI_APP_LINK = process.env.MINI_APP_LINK || null;
+const RECAP_TIME_ZONE = process.env.GROUP_RECAP_TIME_ZONE || 'UTC';
+const groupRecaps = createRecapScheduler({
+    telegram: bot.telegram,
+    db: { getGroups, getGroupMembers, getUserStats, markGroupRecap, removeGroup },
+    recapDay: process.env.GROUP_RECAP_DAY || 'mon',
+    recapTime: process.env.GROUP_RECAP_TIME || '09:00',
+    timeZone: RECAP_TIME_ZONE,
+    appLink: MINI_APP_LINK
+});
+
+// Drawing prompts and challenges from the curated library
+const prompts = createPrompts({
+    library: loadPromptLibrary(process.env.PROMPTS_FILE || path.join(__dirname, 'data', 'prompts.json')),
+    db: { getUserTimeZone, getActiveChallenge, startChallenge, leaveChallenge, completeChallenge }
+});
+
+// One line of challenge progress for bot replies
+function challengeLine(challenge) {
+    if (challenge.justCompleted) {
+        return `🏅 Challenge complete: ${challenge.title}! Pick another with /challenge`;
     }
+    return `🎯 ${challenge.title}: ${challenge.completedDays}/${challenge.days} days`;
+}
+
+// When uploads are accepted (SESSION_POLICY=free|started|minimum)
+const sessionPolicy = createSessionPolicy({
+    mode: process.env.SESSION_POLICY || 'started',
+    minMinutes: parseInt(process.env.SESSION_MIN_MINUTES || '10'),
+    db: { getTodaySessions },
+    runningFocusMs: (userId) => (activeTimers.has(userId) ? focusedMs(activeTimers.get(userId)) : 0)
 });
 
-const upload = multer({ 
-    storage: storage,
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'image/jpeg' || file.mimetype === 'image/png') {
-            cb(null, true);
-        } else {
-            cb(new Error('Only PNG and JPEG files are allowed!'), false);
+// JSON body for a refused upload or /done
+function policyError(verdict) {
+    const { code, message, mode, minMinutes, focusedMinutes } = verdict;
+    return { error: message, code, policy: mode, minMinutes, focusedMinutes };
+}
+
+// Sketches a user may save per local day (UPLOAD_DAILY_QUOTA, 0 for no limit)
+const uploadQuota = createUploadQuota({
+    perDay: parseInt(process.env.UPLOAD_DAILY_QUOTA || '20'),
+    db: { countTodayUploads }
+});
+
+// JSON body for an upload refused by the quota
+function quotaError(verdict) {
+    const { code, message, quota, used } = verdict;
+    return { error: message, code, quota, used };
+}
+
+// ?tag= and ?medium= of the history and gallery routes. Throws
+// DetailsError for values that can't be a tag or medium.
+function sketchFilterOf(query) {
+    return {
+        tag: query.tag ? parseTag(query.tag) : null,
+        medium: parseDetails({ medium: query.medium }).medium || null
+    };
+}
+
+// JSON body for a caption, tag or medium that was refused
+function detailsError(err) {
+    return { error: err.message, code: 'INVALID_DETAILS' };
+}
+
+// A sketch as the API shows it, without storage internals
+function sketchItem(sketch) {
+    const { id, createdAt, caption, medium, tags } = sketch;
+    return { id, createdAt, caption, medium, tags };
+}
+
+// "🏷️ ink · #portrait #study" for a bot reply, or '' without details
+function detailsLine({ medium, tags }) {
+    const parts = [];
+    if (medium) parts.push(medium);
+    if (tags.length) parts.push(tags.map((tag) => `#${tag}`).join(' '));
+    return parts.length ? `🏷️ ${parts.join(' · ')}\n` : '';
+}
+
+// Badges, checked after every upload and finished timer
+const achievements = createAchievements({
+    db: { getAchievementProgress, getUnlockedAchievements, unlockAchievement }
+});
+
+// Unlock newly earned badges and announce each in the bot chat. Never
+// throws, so a failed check can't fail the upload or timer around it.
+async function checkAchievements(userId) {
+    try {
+        const unlocked = await achievements.evaluate(userId);
+        for (const badge of unlocked) {
+            await bot.telegram.sendMessage(userId, `🏅 Achievement unlocked: ${badge.icon} ${badge.title}\n${badge.description}`)
+                .catch((err) => console.error('Achievement message error:', err));
         }
+        return unlocked;
+    } catch (err) {
+        console.error('Achievement check error:', err);
+        return [];
     }
+}
+
+// Export and import of a user's whole history as a ZIP
+const archive = createArchive({
+    db: { getUserExport, getUserStats, importUserData },
+    storage: sketchStorage,
+    ensureStored: gallery.ensureStored,
+    maxDimension: IMAGE_MAX_DIMENSION,
+    maxUnpackedBytes: IMPORT_MAX_UNPACKED_BYTES
 });
 
+// Bots may send files up to 50 MB but only download up to 20 MB
+const TELEGRAM_SEND_LIMIT = 50 * 1024 * 1024;
+const TELEGRAM_DOWNLOAD_LIMIT = 20 * 1024 * 1024;
+
+// Send the user their export as a document in the bot chat.
+// Returns a message for the user either way.
+async function sendExport(userId) {
+    const result = await archive.exportUser(userId);
+    if (result.buffer.length > TELEGRAM_SEND_LIMIT) {
+        return { sent: false, message: 'Your archive is too big to send through Telegram. Download it from the Mini-App instead.' };
+    }
+
+    const missing = result.missing ? `\n⚠️ ${result.missing} image${result.missing === 1 ? '' : 's'} could not be included.` : '';
+    await bot.telegram.sendDocument(userId, { source: result.buffer, filename: result.fileName }, {
+        caption: `📦 Your sketch history: ${result.sketches} sketch${result.sketches === 1 ? '' : 'es'} and ${result.sessions} session${result.sessions === 1 ? '' : 's'}.${missing}\n\nSend this file to the bot to restore it into another account.`
+    });
+    return { sent: true, message: 'Your archive was sent to the bot chat 📦' };
+}
+
+// Delete one of the user's sketches and its image. Returns false if they
+// have no sketch with that id.
+async function deleteSketch(userId, id) {
+    const sketch = await deleteUpload(userId, id);
+    if (!sketch) return false;
+    await retention.removeFiles([sketch.fileId]);
+    return true;
+}
+
+// Erase everything about a user: rows in every table, their images, and
+// any running timer
+async function deleteAccount(userId) {
+    const t = activeTimers.get(userId);
+    if (t) {
+        clearTimeout(t.timeoutId);
+        activeTimers.delete(userId);
+    }
+    const fileIds = await deleteUserData(userId);
+    await retention.removeFiles(fileIds);
+    return fileIds.length;
+}
+
+// One line summing up an import for the bot and Mini-App
+function importLine(summary) {
+    const missing = summary.uploads.missing || 0;
+    const skipped = summary.uploads.skipped + summary.sessions.skipped - missing;
+    const notes = [];
+    if (skipped) notes.push(`${skipped} already there, skipped`);
+    if (missing) notes.push(`${missing} sketch${missing === 1 ? '' : 'es'} without an image, skipped`);
+    return `Imported ${summary.uploads.imported} sketch${summary.uploads.imported === 1 ? '' : 'es'} and ${summary.sessions.imported} session${summary.sessions.imported === 1 ? '' : 's'}`
+        + (notes.length ? ` (${notes.join('; ')})` : '') + '.';
+}
+
+// How the bot receives updates: long polling (the default), or with
+// BOT_MODE=webhook Telegram POSTs each update to WEBHOOK_PATH on this app.
+// Either way run a single instance: running timers live in this process's
+// activeTimers, and every instance would start its own schedulers.
+const BOT_MODES = ['polling', 'webhook'];
+const BOT_MODE = process.env.BOT_MODE || 'polling';
+const WEBHOOK_URL = (process.env.WEBHOOK_URL || process.env.APP_URL || '').replace(/\/+$/, '');
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/telegram/webhook';
+// Telegram echoes this in X-Telegram-Bot-Api-Secret-Token on every update.
+// Without a configured secret, derive one from the bot token so that it
+// survives restarts.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || (process.env.BOT_TOKEN
+    ? crypto.createHmac('sha256', 'telegram-webhook').update(process.env.BOT_TOKEN).digest('hex')
+    : crypto.randomBytes(32).toString('hex'));
+
+// API bodies are small; anything bigger than JSON_BODY_LIMIT gets a 413.
+// Telegram updates can carry long messages and get their own limit.
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '32kb';
+
+// TRUST_PROXY is the number of proxy hops in front of the app whose
+// X-Forwarded-For can be trusted. It defaults to 1 for Replit's proxy, so
+// the per-IP limit sees the client and not the proxy. Set it to 0 when
+// clients reach the app directly, or they can pick their own address.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY || '1'));
+
 // Middleware
-app.use(express.json());
+if (BOT_MODE === 'webhook') app.use(WEBHOOK_PATH, express.json({ limit: '1mb' }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Initialize DB
-initDatabase();
+// Requests per minute (0 turns a limit off): every API request per IP
+// address and per user, plus a tighter limit per user on the routes that
+// start timers or write files
+const MINUTE_MS = 60 * 1000;
+const ipLimiter = createRateLimiter({ limit: parseInt(process.env.RATE_LIMIT_IP_PER_MINUTE || '300'), windowMs: MINUTE_MS });
+const userLimiter = createRateLimiter({ limit: parseInt(process.env.RATE_LIMIT_USER_PER_MINUTE || '120'), windowMs: MINUTE_MS });
+const writeLimiter = createRateLimiter({ limit: parseInt(process.env.RATE_LIMIT_WRITES_PER_MINUTE || '10'), windowMs: MINUTE_MS });
+const limitWrites = rateLimit(writeLimiter, { scope: 'writes', keyOf: (req) => req.userId });
+
+// Every API route derives the user from signed Telegram initData. The IP
+// limit runs first so floods are turned away before any signature check.
+const requireAuth = [
+    rateLimit(ipLimiter, { scope: 'ip', keyOf: (req) => req.ip }),
+    createAuthMiddleware({
+        botToken: process.env.BOT_TOKEN,
+        maxAgeSeconds: parseInt(process.env.AUTH_MAX_AGE_SECONDS || '86400')
+    }),
+    rateLimit(userLimiter, { scope: 'user', keyOf: (req) => req.userId })
+];
+
+/* ========= TIMERS ========= */
+
+// Schedule the "session finished" message for a timer.
+// Paused timers are tracked but get no notification until resumed.
+function scheduleTimer(userId, { duration, startTime, endTime, pausedAt = null, pausedMs = 0, pauseCount = 0, sessionId = null }, { late = false } = {}) {
+    if (activeTimers.has(userId)) {
+        clearTimeout(activeTimers.get(userId).timeoutId);
+    }
+
+    const entry = { duration, startTime, endTime, pausedAt, pausedMs, pauseCount, sessionId };
+    if (!pausedAt) {
+        entry.timeoutId = setTimeout(() => finishTimer(userId, entry, late), Math.max(0, endTime - Date.now()));
+    }
+    activeTimers.set(userId, entry);
+}
+
+// Shape returned by the timer routes
+function timerState(t, now = Date.now()) {
+    const remainingMs = Math.max(0, t.endTime - (t.pausedAt || now));
+    return {
+        hasActiveTimer: true,
+        duration: t.duration,
+        startTime: t.startTime,
+        endTime: t.endTime,
+        remainingMs,
+        paused: !!t.pausedAt,
+        pausedMs: t.pausedMs,
+        isExpired: remainingMs === 0
+    };
+}
+
+// Time actually spent focusing, not counting pauses
+function focusedMs(t, now = Date.now()) {
+    const until = t.pausedAt || Math.min(now, t.endTime);
+    return until - t.startTime - t.pausedMs;
+}
+
+// Close the session row of a timer that just ended.
+// outcome: 'completed' | 'uploaded' | 'cancelled' | 'expired'
+async function closeSession(userId, t, outcome, { uploadId = null, now = Date.now() } = {}) {
+    // Timers saved before sessions were tracked have no row yet
+    const sessionId = t.sessionId || await startSession(userId, t.startTime, t.duration);
+    await endSession(sessionId, {
+        outcome,
+        endedAt: t.pausedAt ? now : Math.min(now, t.endTime),
+        focusedMs: focusedMs(t, now),
+        pausedMs: t.pausedMs + (t.pausedAt ? now - t.pausedAt : 0),
+        pauseCount: t.pauseCount,
+        uploadId
+    });
+}
+
+async function finishTimer(userId, entry, late) {
+    // setTimeout can fire a millisecond before endTime by Date.now()
+    await closeSession(userId, entry, 'completed', { now: Math.max(Date.now(), entry.endTime) })
+        .catch((err) => console.error('Close session error:', err));
+
+    try {
+        const message = late
+            ? `⏰ Your ${entry.duration}-minute session finished while we were offline. Great job! 🎨`
+            : `⏰ Your ${entry.duration}-minute session finished! Great job! 🎨`;
+        await bot.telegram.sendMessage(userId, message);
+        await checkAchievements(userId);
+    } catch (err) {
+        console.error('Timer notification error:', err);
+    } finally {
+        // A new timer may have been started while the message was sending
+        if (activeTimers.get(userId) === entry) {
+            activeTimers.delete(userId);
+            await deleteTimer(userId).catch((err) => console.error('Delete timer error:', err));
+        }
+    }
+}
+
+// Stop a user's timer without notifying them and close its session with
+// the focus time so far. Returns false if no timer was running.
+async function endTimer(userId, outcome, { uploadId = null } = {}) {
+    const t = activeTimers.get(userId);
+    if (t) {
+        clearTimeout(t.timeoutId);
+        activeTimers.delete(userId);
+        await closeSession(userId, t, outcome, { uploadId });
+    }
+    await deleteTimer(userId);
+    return !!t;
+}
+
+// Uploads made within this long after a session ended are linked to it
+const SESSION_LINK_WINDOW_MS = parseInt(process.env.SESSION_LINK_WINDOW_MINUTES || '60') * 60 * 1000;
+
+// A new upload ends the running timer's session early, keeping the focus
+// time so far, or failing that is linked to a session that finished
+// shortly before
+async function attachUploadToSession(userId, uploadId) {
+    if (await endTimer(userId, 'uploaded', { uploadId })) return;
+    await linkUploadToSession(userId, uploadId, Date.now() - SESSION_LINK_WINDOW_MS);
+}
+
+async function restoreTimers() {
+    const timers = await getAllTimers();
+    const now = Date.now();
+    let restored = 0;
+
+    for (const timer of timers) {
+        if (timer.pausedAt || timer.endTime > now) {
+            scheduleTimer(timer.userId, timer);
+            restored++;
+        } else if (now - timer.endTime <= MISSED_TIMER_GRACE_MS) {
+            scheduleTimer(timer.userId, timer, { late: true });
+            restored++;
+        } else {
+            console.log(`Timer for user ${timer.userId} missed (ended ${new Date(timer.endTime).toISOString()})`);
+            await closeSession(timer.userId, timer, 'expired', { now });
+            await deleteTimer(timer.userId);
+        }
+    }
+
+    console.log(`Restored ${restored} timer(s) from database`);
+}
 
 /* ========= BOT COMMANDS ========= */
 
@@ -60,6 +508,7 @@ This bot helps you track your daily sketching habit and build streaks!
 📊 Use the Mini-App to track your progress and streaks
 ⏱️ Built-in timer to help you focus on your art
 📸 Upload your daily sketch to mark it as completed and continue the streak
+💡 Stuck for ideas? /prompt gives you something to draw, /challenge starts a multi-day challenge
 
 👉 Open the app via the green "Launch Sketch-Time" button below!
     `;
@@ -67,23 +516,265 @@ This bot helps you track your daily sketching habit and build streaks!
     ctx.reply(welcomeMessage);
 });
 
+// /timezone            -> show the zone used for streaks
+// /timezone Asia/Tokyo -> change it
+bot.command('timezone', async (ctx) => {
+    try {
+        const userId = ctx.from.id;
+        const timeZone = ctx.message.text.split(/\s+/)[1];
+
+        if (!timeZone) {
+            const current = await getUserTimeZone(userId);
+            return ctx.reply(`🕰️ Your streaks use the ${current} time zone (today is ${localDate(current)}).\n\nChange it with /timezone Area/City, e.g. /timezone America/New_York`);
+        }
+
+        if (!isValidTimeZone(timeZone)) {
+            return ctx.reply(`⚠️ "${timeZone}" isn't a time zone I know. Use an IANA name like Europe/Berlin or Asia/Tokyo.`);
+        }
+
+        await setUserTimeZone(userId, timeZone);
+        ctx.reply(`✅ Time zone set to ${timeZone}. Your day now starts at midnight there.`);
+    } catch (err) {
+        console.error('Timezone command error:', err);
+        ctx.reply('Error updating time zone. Please try again.');
+    }
+});
+
+// /remind        -> turn on daily reminders (or show the current time)
+// /remind 08:30  -> remind at 08:30 local time
+// /remind off    -> stop reminders
+bot.command('remind', async (ctx) => {
+    try {
+        const userId = ctx.from.id;
+        const arg = ctx.message.text.split(/\s+/)[1];
+        const timeZone = await getUserTimeZone(userId);
+
+        if (arg && arg.toLowerCase() === 'off') {
+            await setReminderTime(userId, null);
+            return ctx.reply('🔕 Daily reminders are off. Turn them back on any time with /remind');
+        }
+
+        let time = await getReminderTime(userId);
+        if (arg) {
+            time = parseReminderTime(arg);
+            if (!time) {
+                return ctx.reply('⚠️ Use a 24-hour time like /remind 08:30 or /remind 20:00');
+            }
+        }
+
+        const changed = !!arg || !time;
+        time = time || DEFAULT_REMINDER_TIME;
+        if (changed) await setReminderTime(userId, time);
+
+        ctx.reply(`⏰ I'll remind you at ${time} (${timeZone}) on days you haven't sketched yet, and warn you in the evening if your streak is about to end.\n\nChange the time with /remind HH:MM, stop with /remind off.`);
+    } catch (err) {
+        console.error('Remind command error:', err);
+        ctx.reply('Error updating reminders. Please try again.');
+    }
+});
+
+// /restdays          -> show the weekly rest days
+// /restdays sat,sun  -> days that never break a streak
+// /restdays off      -> no rest days
+bot.command('restdays', async (ctx) => {
+    try {
+        const userId = ctx.from.id;
+        const arg = ctx.message.text.split(/\s+/).slice(1).join(' ');
+
+        if (!arg) {
+            const current = await getRestDays(userId);
+            return ctx.reply(current.length
+                ? `😴 Your rest days: ${current.join(', ')}. Missing a sketch on them never breaks your streak.\n\nChange them with /restdays sun or /restdays off`
+                : `😴 You have no rest days. Pick up to ${MAX_REST_DAYS} days a week that never break your streak, e.g. /restdays sun`);
+        }
+
+        const restDays = parseRestDays(arg);
+        if (!restDays) {
+            return ctx.reply('⚠️ Use weekday names like /restdays sun or /restdays sat,sun');
+        }
+        if (restDays.length > MAX_REST_DAYS) {
+            return ctx.reply(`⚠️ You can pick at most ${MAX_REST_DAYS} rest days a week.`);
+        }
+
+        await setRestDays(userId, restDays);
+        ctx.reply(restDays.length
+            ? `✅ Rest days set to ${restDays.join(', ')}.`
+            : '✅ Rest days turned off.');
+    } catch (err) {
+        console.error('Rest days command error:', err);
+        ctx.reply('Error updating rest days. Please try again.');
+    }
+});
+
+// /prompt -> what to draw today
+bot.command('prompt', async (ctx) => {
+    try {
+        const { prompt, challenge } = await prompts.getTodayPrompt(ctx.from.id);
+        const heading = challenge
+            ? `🎯 ${challenge.title} — day ${challenge.day} of ${challenge.days}`
+            : '💡 Today\'s prompt';
+        ctx.reply(`${heading}\n\n${prompt.text}`);
+    } catch (err) {
+        console.error('Prompt command error:', err);
+        ctx.reply('Error loading today\'s prompt. Please try again.');
+    }
+});
+
+// /challenge        -> list challenges and show progress
+// /challenge hands  -> start one (replaces the current challenge)
+// /challenge leave  -> stop the current one
+bot.command('challenge', async (ctx) => {
+    try {
+        const userId = ctx.from.id;
+        const arg = (ctx.message.text.split(/\s+/)[1] || '').toLowerCase();
+
+        if (arg === 'leave') {
+            await prompts.leaveChallenge(userId);
+            return ctx.reply('👋 You left the challenge. Your daily prompts are back — see /prompt');
+        }
+
+        if (arg) {
+            const challenge = await prompts.joinChallenge(userId, arg);
+            if (!challenge) {
+                return ctx.reply(`⚠️ There's no challenge called "${arg}". Send /challenge to see the list.`);
+            }
+            return ctx.reply(`🎯 ${challenge.title} starts today! Every day you upload a sketch counts.\n\nDay 1: ${challenge.prompt}`);
+        }
+
+        const current = await prompts.getChallengeProgress(userId);
+        const completed = await getCompletedChallenges(userId);
+        const list = prompts.listChallenges()
+            .map((challenge) => `${completed.includes(challenge.id) ? '✅' : '•'} ${challenge.title} — /challenge ${challenge.id}\n   ${challenge.description}`)
+            .join('\n');
+        const status = current
+            ? `You're on day ${current.day} of ${current.title} (${current.completedDays}/${current.days} done). Leave with /challenge leave\n\n`
+            : '';
+        ctx.reply(`${status}Challenges:\n${list}`);
+    } catch (err) {
+        console.error('Challenge command error:', err);
+        ctx.reply('Error updating challenges. Please try again.');
+    }
+});
+
+/* ========= GROUPS ========= */
+
+function isGroupChat(chat) {
+    return chat.type === 'group' || chat.type === 'supergroup';
+}
+
+// Bot added to or removed from a group
+bot.on('my_chat_member', async (ctx) => {
+    try {
+        const { chat, old_chat_member: before, new_chat_member: after } = ctx.myChatMember;
+        if (!isGroupChat(chat)) return;
+
+        const wasIn = ['member', 'administrator', 'creator'].includes(before.status);
+        const isIn = ['member', 'administrator', 'creator'].includes(after.status);
+        if (isIn && !wasIn) {
+            await saveGroup(chat.id, chat.title, localDate(RECAP_TIME_ZONE));
+            await ctx.telegram.sendMessage(chat.id, '🎨 Hi! I track daily sketching streaks.\n\nSend /join to enter this group\'s leaderboard, /leaderboard to see who\'s on a roll. I\'ll post a recap every week.');
+        } else if (wasIn && !isIn) {
+            await removeGroup(chat.id);
+        }
+    } catch (err) {
+        console.error('Group membership error:', err);
+    }
+});
+
+// Groups upgraded to supergroups change id
+bot.on('migrate_to_chat_id', async (ctx) => {
+    try {
+        await moveGroup(ctx.chat.id, ctx.message.migrate_to_chat_id);
+    } catch (err) {
+        console.error('Group migration error:', err);
+    }
+});
+
+// /join in a group -> opt in to its leaderboard
+bot.command('join', async (ctx) => {
+    try {
+        if (!isGroupChat(ctx.chat)) {
+            return ctx.reply('👥 Add me to a group and send /join there to compete with friends.');
+        }
+        const name = ctx.from.username ? `@${ctx.from.username}` : (ctx.from.first_name || 'Artist');
+        await saveGroup(ctx.chat.id, ctx.chat.title, localDate(RECAP_TIME_ZONE));
+        await addGroupMember(ctx.chat.id, ctx.from.id, name);
+        ctx.reply(`✅ ${name} joined the leaderboard! Upload sketches to me in a private chat to climb it.`);
+    } catch (err) {
+        console.error('Join command error:', err);
+        ctx.reply('Error joining the leaderboard. Please try again.');
+    }
+});
+
+// /leave in a group -> opt out again
+bot.command('leave', async (ctx) => {
+    try {
+        if (!isGroupChat(ctx.chat)) return ctx.reply('Send /leave in the group whose leaderboard you want to leave.');
+        const removed = await removeGroupMember(ctx.chat.id, ctx.from.id);
+        ctx.reply(removed ? '👋 You left this group\'s leaderboard.' : 'You weren\'t on this group\'s leaderboard.');
+    } catch (err) {
+        console.error('Leave command error:', err);
+        ctx.reply('Error leaving the leaderboard. Please try again.');
+    }
+});
+
+bot.command('leaderboard', async (ctx) => {
+    try {
+        if (!isGroupChat(ctx.chat)) {
+            return ctx.reply('🏆 Leaderboards live in groups. Add me to a group and send /join there.');
+        }
+        const rows = await getLeaderboard({ getGroupMembers, getUserStats }, ctx.chat.id);
+        ctx.reply(`🏆 Leaderboard\n\n${formatLeaderboard(rows)}`, {
+            reply_markup: leaderboardKeyboard(MINI_APP_LINK, ctx.chat.id)
+        });
+    } catch (err) {
+        console.error('Leaderboard command error:', err);
+        ctx.reply('Error loading the leaderboard. Please try again.');
+    }
+});
+
+// Sketches and archives are only taken in the private chat; in groups
+// (and channels) the bot stays quiet about members' photos and files
 bot.on('photo', async (ctx) => {
+    if (ctx.chat.type !== 'private') return;
     try {
         const userId = ctx.from.id;
         const username = ctx.from.username || ctx.from.first_name || 'Unknown';
         const photo = ctx.message.photo[ctx.message.photo.length - 1]; 
-        const fileId = photo.file_id;
+
+        const verdict = await sessionPolicy.check(userId);
+        if (!verdict.allowed) {
+            return ctx.reply(`⏱️ ${verdict.message}\n\nOpen the Mini-App to start a session, then send your sketch again.`, {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '⏱️ Start a session', web_app: { url: `${process.env.APP_URL || 'https://your-app-url.com'}` } }
+                    ]]
+                }
+            });
+        }
+        // Early refusal before downloading; saveUpload checks again atomically
+        const quota = await uploadQuota.check(userId);
+        if (!quota.allowed) return ctx.reply(`🛑 ${quota.message}`);
         
-        await saveUpload(userId, username, fileId);
+        // Keep our own copy so bot photos live alongside web uploads;
+        // the photo's caption and #hashtags describe the sketch
+        const { key, ...meta } = await photoImporter.importPhoto(photo.file_id);
+        const details = detailsFromCaption(ctx.message.caption);
+        const uploadId = await saveUpload(userId, username, key, { source: 'telegram', telegramFileId: photo.file_id, ...meta, ...details }, { maxToday: uploadQuota.perDay });
+        if (uploadId === null) return ctx.reply(`🛑 ${(await uploadQuota.check(userId)).message}`);
+        await attachUploadToSession(userId, uploadId);
+        const challenge = await prompts.recordUpload(userId);
         const stats = await getUserStats(userId);
         
-        ctx.reply(`
+        await ctx.reply(`
 🎨 Great sketch! Added to your collection!
 
 📊 Stats:
 🔥 Current Streak: ${stats.currentStreak} days
 🏆 Longest Streak: ${stats.longestStreak} days
-📈 Total Sketches: ${stats.totalUploads}
+❄️ Streak Freezes: ${stats.freezesAvailable}/${stats.maxFreezes}
+📈 Total Sketches: ${stats.totalUploads}${stats.todayUploads > 1 ? ` (${stats.todayUploads} today)` : ''}
+${detailsLine(details)}${challenge ? `\n${challengeLine(challenge)}` : ''}
         `, {
             reply_markup: {
                 inline_keyboard: [[
@@ -91,53 +782,166 @@ bot.on('photo', async (ctx) => {
                 ]]
             }
         });
+        await checkAchievements(userId);
         
     } catch (err) {
+        if (err instanceof ImageError) return ctx.reply(`⚠️ ${err.message}`);
         console.error('Photo upload error:', err);
         ctx.reply('Error saving sketch. Please try again.');
     }
 });
 
-bot.on('document', (ctx) => {
-    ctx.reply('⚠️ Please send sketches as *photos* (PNG/JPEG) instead of documents!');
+// /export -> the user's whole history as a ZIP, sent back in this chat
+bot.command('export', async (ctx) => {
+    try {
+        if (isGroupChat(ctx.chat)) {
+            return ctx.reply('📦 Send /export to me in a private chat to get your archive.');
+        }
+        await ctx.reply('📦 Packing your sketches, this can take a moment...');
+        const { sent, message } = await sendExport(ctx.from.id);
+        if (!sent) ctx.reply(message);
+    } catch (err) {
+        console.error('Export command error:', err);
+        ctx.reply('Error creating your archive. Please try again.');
+    }
+});
+
+// /delete as a reply to a sketch photo deletes that sketch; on its own,
+// the latest one. Either way the user confirms with a button first.
+bot.command('delete', async (ctx) => {
+    try {
+        if (isGroupChat(ctx.chat)) {
+            return ctx.reply('Send /delete to me in a private chat.');
+        }
+        const userId = ctx.from.id;
+        const reply = ctx.message.reply_to_message;
+        const sketch = reply && reply.photo
+            ? await findUploadByTelegramFileId(userId, reply.photo[reply.photo.length - 1].file_id)
+            : (await listUploads(userId, { limit: 1 }))[0];
+        if (!sketch) {
+            return ctx.reply(reply ? 'That photo isn\'t one of your saved sketches.' : 'You have no sketches to delete.');
+        }
+
+        ctx.reply(`🗑️ Delete your sketch from ${sketch.createdAt.toLocaleString('en-GB', { timeZone: await getUserTimeZone(userId) })}? Your streak will be recalculated without it.`, {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '🗑️ Delete', callback_data: `delete:${sketch.id}` },
+                    { text: 'Keep it', callback_data: 'delete:cancel' }
+                ]]
+            }
+        });
+    } catch (err) {
+        console.error('Delete command error:', err);
+        ctx.reply('Error finding your sketch. Please try again.');
+    }
+});
+
+bot.action(/^delete:(\d+|cancel)$/, async (ctx) => {
+    try {
+        await ctx.answerCbQuery();
+        if (ctx.match[1] === 'cancel') return ctx.editMessageText('👍 Kept your sketch.');
+
+        const userId = ctx.from.id;
+        if (!(await deleteSketch(userId, parseInt(ctx.match[1])))) {
+            return ctx.editMessageText('That sketch was already deleted.');
+        }
+        const stats = await getUserStats(userId);
+        ctx.editMessageText(`🗑️ Sketch deleted.\n\n🔥 Current Streak: ${stats.currentStreak} days\n📈 Total Sketches: ${stats.totalUploads}`);
+    } catch (err) {
+        console.error('Delete sketch error:', err);
+        ctx.reply('Error deleting the sketch. Please try again.');
+    }
+});
+
+// /deleteme -> erase the account after a confirmation button
+bot.command('deleteme', (ctx) => {
+    if (isGroupChat(ctx.chat)) {
+        return ctx.reply('Send /deleteme to me in a private chat.');
+    }
+    ctx.reply('⚠️ This permanently deletes all your sketches, sessions, streaks, badges and settings. Use /export first if you want a copy.\n\nDelete everything?', {
+        reply_markup: {
+            inline_keyboard: [[
+                { text: '⚠️ Delete everything', callback_data: 'deleteme:confirm' },
+                { text: 'Cancel', callback_data: 'deleteme:cancel' }
+            ]]
+        }
+    });
+});
+
+bot.action(/^deleteme:(confirm|cancel)$/, async (ctx) => {
+    try {
+        await ctx.answerCbQuery();
+        if (ctx.match[1] === 'cancel') return ctx.editMessageText('👍 Nothing was deleted.');
+
+        const sketches = await deleteAccount(ctx.from.id);
+        ctx.editMessageText(`🗑️ Your account is gone: ${sketches} sketch${sketches === 1 ? '' : 'es'} and all your stats were deleted. Send /start any time to begin again.`);
+    } catch (err) {
+        console.error('Delete account error:', err);
+        ctx.reply('Error deleting your account. Please try again.');
+    }
+});
+
+bot.command('import', (ctx) => {
+    ctx.reply('📥 Send me the ZIP file from /export (as a file) and I\'ll add its sketches and sessions to your account. Anything you already have is skipped.');
+});
+
+// ZIPs are imports (see /import); anything else should have been a photo
+bot.on('document', async (ctx) => {
+    if (ctx.chat.type !== 'private') return;
+    const document = ctx.message.document;
+    const isZip = ZIP_TYPES.includes(document.mime_type) || /\.zip$/i.test(document.file_name || '');
+    if (!isZip) {
+        return ctx.reply('⚠️ Please send sketches as *photos* (PNG/JPEG) instead of documents!');
+    }
+
+    try {
+        if (document.file_size > Math.min(TELEGRAM_DOWNLOAD_LIMIT, IMPORT_MAX_BYTES)) {
+            return ctx.reply('⚠️ This archive is too big for the bot. Import it from the Mini-App instead.');
+        }
+        const userId = ctx.from.id;
+        const username = ctx.from.username || ctx.from.first_name || 'Unknown';
+        const buffer = await telegramFiles.download(document.file_id);
+        const summary = await archive.importArchive(userId, username, buffer);
+        await checkAchievements(userId);
+        ctx.reply(`📥 ${importLine(summary)}`);
+    } catch (err) {
+        if (err instanceof ArchiveError) {
+            const problems = err.problems.length ? `\n\n${err.problems.slice(0, 5).map((problem) => `• ${problem}`).join('\n')}` : '';
+            return ctx.reply(`⚠️ ${err.message}${problems}`);
+        }
+        console.error('Import error:', err);
+        ctx.reply('Error importing the archive. Please try again.');
+    }
 });
 
 /* ========= API ROUTES ========= */
 
+// Longest focus timer that can be started
+const MAX_TIMER_MINUTES = 240;
+
 // Start timer
-app.post('/start-timer', async (req, res) => {
+app.post('/start-timer', requireAuth, limitWrites, async (req, res) => {
     try {
-        const { userId, duration } = req.body;
-        if (!userId || !duration) {
-            return res.status(400).json({ error: 'User ID and duration required' });
+        // Checked before anything is ended or recorded
+        const duration = Number(req.body.duration);
+        if (!Number.isInteger(duration) || duration < 1 || duration > MAX_TIMER_MINUTES) {
+            return res.status(400).json({ error: `Duration must be a whole number of minutes from 1 to ${MAX_TIMER_MINUTES}` });
         }
 
-        const userIdInt = parseInt(userId);
+        const userIdInt = req.userId;
         const durationMs = duration * 60 * 1000;
-        const startTime = Date.now();
-        const endTime = startTime + durationMs;
 
-        // Cancel existing timer if any
-        if (activeTimers.has(userIdInt)) {
-            clearTimeout(activeTimers.get(userIdInt).timeoutId);
-        }
+        // Starting over abandons whatever timer was running
+        await endTimer(userIdInt, 'cancelled');
 
-        // Schedule notification
-        const timeoutId = setTimeout(async () => {
-            try {
-                await bot.telegram.sendMessage(
-                    userIdInt,
-                    `⏰ Your ${duration}-minute session finished! Great job! 🎨`
-                );
-                await markSessionComplete(userIdInt);
-            } catch (err) {
-                console.error('Timer notification error:', err);
-            } finally {
-                activeTimers.delete(userIdInt);
-            }
-        }, durationMs);
+        const startTime = Date.now();
+        const endTime = startTime + durationMs;
+        const sessionId = await startSession(userIdInt, startTime, duration);
 
-        activeTimers.set(userIdInt, { duration, startTime, endTime, timeoutId });
+        // Persist first so a restart right after this call keeps the timer
+        const timer = { duration, startTime, endTime, sessionId };
+        await saveTimer(userIdInt, timer);
+        scheduleTimer(userIdInt, timer);
 
         res.json({ success: true, startTime, endTime });
     } catch (err) {
@@ -147,23 +951,12 @@ app.post('/start-timer', async (req, res) => {
 });
 
 // Get timer state
-app.get('/timer/:userId', async (req, res) => {
+app.get('/timer/:userId', requireAuth, async (req, res) => {
     try {
-        const userId = parseInt(req.params.userId);
-        if (!userId) return res.status(400).json({ error: 'Invalid user ID' });
+        const userId = req.userId;
 
         if (activeTimers.has(userId)) {
-            const t = activeTimers.get(userId);
-            const remainingMs = Math.max(0, t.endTime - Date.now());
-
-            return res.json({
-                hasActiveTimer: true,
-                duration: t.duration,
-                startTime: t.startTime,
-                endTime: t.endTime,
-                remainingMs,
-                isExpired: remainingMs === 0
-            });
+            return res.json(timerState(activeTimers.get(userId)));
         }
         res.json({ hasActiveTimer: false });
     } catch (err) {
@@ -172,23 +965,66 @@ app.get('/timer/:userId', async (req, res) => {
     }
 });
 
-// Cancel timer early
-app.post('/cancel-timer', async (req, res) => {
+// Pause timer: hold the notification and remember when we paused
+app.post('/pause-timer', requireAuth, async (req, res) => {
     try {
-        const { userId } = req.body;
-        if (!userId) return res.status(400).json({ error: 'User ID required' });
+        const userId = req.userId;
+        const t = activeTimers.get(userId);
+        if (!t) return res.status(404).json({ error: 'No active timer' });
+
+        const now = Date.now();
+        if (!t.pausedAt) {
+            if (t.endTime <= now) return res.status(409).json({ error: 'Timer already finished' });
+
+            await saveTimer(userId, { ...t, pausedAt: now, pauseCount: t.pauseCount + 1 });
+            clearTimeout(t.timeoutId);
+            t.timeoutId = null;
+            t.pausedAt = now;
+            t.pauseCount++;
+        }
 
-        const userIdInt = parseInt(userId);
-        if (activeTimers.has(userIdInt)) {
-            clearTimeout(activeTimers.get(userIdInt).timeoutId);
-            activeTimers.delete(userIdInt);
+        res.json({ success: true, ...timerState(t, now) });
+    } catch (err) {
+        console.error('Pause timer error:', err);
+        res.status(500).json({ error: 'Failed to pause timer' });
+    }
+});
 
-            // Mark as complete on cancel
-            await markSessionComplete(userIdInt);
-            console.log(`Timer cancelled & session completed for user ${userIdInt}`);
+// Resume timer: push endTime back by the time spent paused
+app.post('/resume-timer', requireAuth, async (req, res) => {
+    try {
+        const userId = req.userId;
+        const t = activeTimers.get(userId);
+        if (!t) return res.status(404).json({ error: 'No active timer' });
+
+        const now = Date.now();
+        if (t.pausedAt) {
+            const pausedFor = now - t.pausedAt;
+            const resumed = {
+                duration: t.duration,
+                startTime: t.startTime,
+                endTime: t.endTime + pausedFor,
+                pausedAt: null,
+                pausedMs: t.pausedMs + pausedFor,
+                pauseCount: t.pauseCount,
+                sessionId: t.sessionId
+            };
+            await saveTimer(userId, resumed);
+            scheduleTimer(userId, resumed);
         }
 
-        res.json({ success: true, message: 'Timer cancelled and session completed' });
+        res.json({ success: true, ...timerState(activeTimers.get(userId), now) });
+    } catch (err) {
+        console.error('Resume timer error:', err);
+        res.status(500).json({ error: 'Failed to resume timer' });
+    }
+});
+
+// Cancel timer early; the session is kept, with the time focused so far
+app.post('/cancel-timer', requireAuth, async (req, res) => {
+    try {
+        const cancelled = await endTimer(req.userId, 'cancelled');
+        res.json({ success: true, cancelled, message: cancelled ? 'Timer cancelled' : 'No active timer' });
     } catch (err) {
         console.error('Cancel timer error:', err);
         res.status(500).json({ error: 'Failed to cancel timer' });
@@ -196,56 +1032,332 @@ app.post('/cancel-timer', async (req, res) => {
 });
 
 // Upload sketch
-app.post('/upload', upload.single('sketch'), async (req, res) => {
+app.post('/upload', requireAuth, limitWrites, upload.single('sketch'), async (req, res) => {
     try {
         if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-        const { userId } = req.body;
-        if (!userId) return res.status(400).json({ error: 'User ID required' });
+        const userIdInt = req.userId;
+        if (req.body.userId && parseInt(req.body.userId) !== userIdInt) {
+            return res.status(403).json({ error: 'User ID does not match authenticated user' });
+        }
 
-        const filePath = req.file.path;
-        await saveUpload(parseInt(userId), 'WebApp User', filePath);
-        await markSessionComplete(parseInt(userId));
+        const verdict = await sessionPolicy.check(userIdInt);
+        if (!verdict.allowed) return res.status(403).json(policyError(verdict));
+        // Early refusal before processing; saveUpload checks again atomically
+        const quota = await uploadQuota.check(userIdInt);
+        if (!quota.allowed) return res.status(429).json(quotaError(quota));
+        const { caption, tags, medium } = req.body;
+        const details = parseDetails({ caption, tags, medium });
 
-        const userIdInt = parseInt(userId);
-        if (activeTimers.has(userIdInt)) {
-            clearTimeout(activeTimers.get(userIdInt).timeoutId);
-            activeTimers.delete(userIdInt);
-        }
+        const { user } = req.telegram;
+        const username = user.username || user.first_name || 'WebApp User';
+        const { buffer, mimeType, sizeBytes, width, height } = await processImage(req.file.buffer, { maxDimension: IMAGE_MAX_DIMENSION });
+        const key = await sketchStorage.putContent(buffer, { contentType: mimeType });
+        const uploadId = await saveUpload(userIdInt, username, key, { source: 'web', mimeType, sizeBytes, width, height, ...details }, { maxToday: uploadQuota.perDay });
+        if (uploadId === null) return res.status(429).json(quotaError(await uploadQuota.check(userIdInt)));
+        await attachUploadToSession(userIdInt, uploadId);
+        const challenge = await prompts.recordUpload(userIdInt);
+        const unlocked = await checkAchievements(userIdInt);
 
-        const stats = await getUserStats(parseInt(userId));
-        res.json({ success: true, message: 'Sketch uploaded! 🎨', stats, fileName: req.file.originalname });
+        const stats = { ...(await getUserStats(userIdInt)), uploadQuota: await uploadQuota.check(userIdInt) };
+        res.json({ success: true, message: 'Sketch uploaded! 🎨', stats, challenge, achievements: unlocked, fileName: req.file.originalname });
     } catch (err) {
+        if (err instanceof ImageError) return res.status(err.status).json({ error: err.message, code: err.code });
+        if (err instanceof DetailsError) return res.status(400).json(detailsError(err));
         console.error('Upload error:', err);
-        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
         res.status(500).json({ error: 'Failed to upload sketch' });
     }
 });
 
-// Stats
-app.get('/stats/:userId', async (req, res) => {
+// Stats (?days=N sets how many days of recentHistory to return, default 30)
+app.get('/stats/:userId', requireAuth, async (req, res) => {
     try {
-        const userId = parseInt(req.params.userId);
-        if (!userId) return res.status(400).json({ error: 'Invalid user ID' });
-        const stats = await getUserStats(userId);
-        res.json(stats);
+        const userId = req.userId;
+        const stats = await getUserStats(userId, { historyDays: req.query.days });
+        res.json({ ...stats, uploadPolicy: await sessionPolicy.check(userId), uploadQuota: await uploadQuota.check(userId) });
     } catch (err) {
         console.error('Stats error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Done (mark session complete)
-app.post('/done', async (req, res) => {
+// Daily sketches and focus minutes for the heatmap and charts (?days=N, default 365).
+// ?tag= and ?medium= count only the sketches that have them.
+app.get('/history/:userId', requireAuth, async (req, res) => {
+    try {
+        const history = await getHistory(req.userId, { days: req.query.days, ...sketchFilterOf(req.query) });
+        res.json(history);
+    } catch (err) {
+        if (err instanceof DetailsError) return res.status(400).json(detailsError(err));
+        console.error('History error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Gallery: a page of the user's sketches, newest first (?before=<id>&limit=N,
+// optionally only those with ?tag= or ?medium=). Image and thumbnail URLs
+// are signed and expire after STORAGE_URL_TTL_SECONDS.
+app.get('/sketches', requireAuth, async (req, res) => {
     try {
-        const { userId } = req.body;
-        if (!userId) return res.status(400).json({ error: 'User ID required' });
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const before = parseInt(req.query.before) || null;
+        const sketches = await listUploads(req.userId, { before, limit, ...sketchFilterOf(req.query) });
+
+        const items = await Promise.all(sketches.map(async (sketch) => ({
+            ...sketchItem(sketch),
+            ...(await gallery.getUrls(sketch))
+        })));
+
+        res.json({
+            sketches: items,
+            nextBefore: sketches.length === limit ? sketches[sketches.length - 1].id : null
+        });
+    } catch (err) {
+        if (err instanceof DetailsError) return res.status(400).json(detailsError(err));
+        console.error('Sketches error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Change a sketch's caption, tags or medium; fields left out are kept
+app.patch('/sketches/:id', requireAuth, async (req, res) => {
+    try {
+        const { caption, tags, medium } = req.body;
+        const details = parseDetails({ caption, tags, medium });
+        const id = parseInt(req.params.id);
+        const sketch = id ? await updateUploadDetails(req.userId, id, details) : null;
+        if (!sketch) return res.status(404).json({ error: 'Sketch not found' });
+        res.json({ success: true, sketch: sketchItem(sketch) });
+    } catch (err) {
+        if (err instanceof DetailsError) return res.status(400).json(detailsError(err));
+        console.error('Update sketch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Tags and mediums the user has used, for pickers and filters
+app.get('/tags', requireAuth, async (req, res) => {
+    try {
+        res.json({ ...(await getUserTags(req.userId)), suggestedMediums: MEDIUMS });
+    } catch (err) {
+        console.error('Tags error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete one sketch; streaks are recalculated without it
+app.delete('/sketches/:id', requireAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (!id || !(await deleteSketch(req.userId, id))) {
+            return res.status(404).json({ error: 'Sketch not found' });
+        }
+        res.json({ success: true, stats: await getUserStats(req.userId) });
+    } catch (err) {
+        console.error('Delete sketch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Erase the user's account and every sketch in it
+app.delete('/account', requireAuth, async (req, res) => {
+    try {
+        const sketches = await deleteAccount(req.userId);
+        res.json({ success: true, deletedSketches: sketches });
+    } catch (err) {
+        console.error('Delete account error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Today's prompt, plus progress when the user is in a challenge
+app.get('/prompt', requireAuth, async (req, res) => {
+    try {
+        res.json(await prompts.getTodayPrompt(req.userId));
+    } catch (err) {
+        console.error('Prompt error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Available challenges, which ones the user finished, and the current one
+app.get('/challenges', requireAuth, async (req, res) => {
+    try {
+        const completed = await getCompletedChallenges(req.userId);
+        res.json({
+            challenges: prompts.listChallenges().map((challenge) => ({
+                ...challenge,
+                completed: completed.includes(challenge.id)
+            })),
+            active: await prompts.getChallengeProgress(req.userId)
+        });
+    } catch (err) {
+        console.error('Challenges error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Start a challenge (replaces the current one)
+app.post('/challenges/join', requireAuth, async (req, res) => {
+    try {
+        const challenge = await prompts.joinChallenge(req.userId, req.body.challengeId);
+        if (!challenge) return res.status(404).json({ error: 'Unknown challenge' });
+        res.json({ success: true, challenge });
+    } catch (err) {
+        console.error('Join challenge error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/challenges/leave', requireAuth, async (req, res) => {
+    try {
+        await prompts.leaveChallenge(req.userId);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Leave challenge error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Every badge, with unlockedAt for the ones the user has earned
+app.get('/achievements', requireAuth, async (req, res) => {
+    try {
+        res.json({ achievements: await achievements.list(req.userId) });
+    } catch (err) {
+        console.error('Achievements error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Groups whose leaderboard the user has joined
+app.get('/groups', requireAuth, async (req, res) => {
+    try {
+        const groups = await getUserGroups(req.userId);
+        res.json({ groups: groups.map(({ chatId, title }) => ({ chatId, title })) });
+    } catch (err) {
+        console.error('Groups error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// A group's leaderboard: ?chatId=..., or the group the Mini-App was opened
+// from (start_param). Only members of that leaderboard can see it.
+app.get('/leaderboard', requireAuth, async (req, res) => {
+    try {
+        const chatId = parseInt(req.query.chatId) || parseGroupStartParam(req.telegram.startParam);
+        if (!chatId) return res.status(400).json({ error: 'chatId required' });
+
+        const group = await getGroup(chatId);
+        if (!group) return res.status(404).json({ error: 'Unknown group' });
+        if (!(await isGroupMember(chatId, req.userId))) {
+            return res.status(403).json({ error: 'Send /join in the group to see its leaderboard' });
+        }
+
+        const members = await getLeaderboard({ getGroupMembers, getUserStats }, chatId);
+        res.json({ chatId, title: group.title, members });
+    } catch (err) {
+        console.error('Leaderboard error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// The user's history as a ZIP download
+app.get('/export', requireAuth, limitWrites, async (req, res) => {
+    try {
+        const { buffer, fileName } = await archive.exportUser(req.userId);
+        res.attachment(fileName).type('application/zip').send(buffer);
+    } catch (err) {
+        console.error('Export error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Same archive, sent to the bot chat (downloads are unreliable inside Telegram)
+app.post('/export', requireAuth, limitWrites, async (req, res) => {
+    try {
+        const { sent, message } = await sendExport(req.userId);
+        if (!sent) return res.status(413).json({ error: message, code: 'EXPORT_TOO_LARGE' });
+        res.json({ success: true, message });
+    } catch (err) {
+        console.error('Export error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Restore an archive from /export into this account; existing rows are kept
+app.post('/import', requireAuth, limitWrites, archiveUpload.single('archive'), async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No archive uploaded' });
+
+        const { user } = req.telegram;
+        const username = user.username || user.first_name || 'WebApp User';
+        const summary = await archive.importArchive(req.userId, username, req.file.buffer);
+        const unlocked = await checkAchievements(req.userId);
+        res.json({
+            success: true,
+            message: importLine(summary),
+            summary,
+            achievements: unlocked,
+            stats: await getUserStats(req.userId)
+        });
+    } catch (err) {
+        if (err instanceof ArchiveError) {
+            return res.status(400).json({ error: err.message, code: 'INVALID_ARCHIVE', problems: err.problems });
+        }
+        console.error('Import error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Signed read URLs for the local storage driver
+app.get('/files/*key', async (req, res) => {
+    try {
+        const key = req.params.key.join('/');
+        const { driver } = sketchStorage;
+        if (!driver.verifyReadUrl || !driver.verifyReadUrl(key, req.query.expires, req.query.signature)) {
+            return res.status(403).json({ error: 'Invalid or expired link' });
+        }
+
+        const buffer = await driver.get(key);
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.type(path.extname(key)).send(buffer);
+    } catch (err) {
+        if (err.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
+        console.error('File error:', err);
+        res.status(500).json({ error: 'Failed to load file' });
+    }
+});
+
+// Time zone detected by the Mini-App (doesn't override one set via the bot)
+app.post('/timezone', requireAuth, async (req, res) => {
+    try {
+        const { timeZone } = req.body;
+        if (!isValidTimeZone(timeZone)) {
+            return res.status(400).json({ error: 'Valid IANA time zone required' });
+        }
+
+        const current = await rememberUserTimeZone(req.userId, timeZone);
+        res.json({ success: true, timeZone: current });
+    } catch (err) {
+        console.error('Timezone error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Done: end the day's session once a sketch is uploaded
+app.post('/done', requireAuth, async (req, res) => {
+    try {
+        const userId = req.userId;
+
+        const verdict = await sessionPolicy.check(userId);
+        if (!verdict.allowed) return res.status(403).json(policyError(verdict));
 
         const hasUploaded = await hasUploadedToday(userId);
         if (!hasUploaded) {
-            return res.status(400).json({ error: 'Upload a sketch first!' });
+            return res.status(400).json({ error: 'Upload a sketch first!', code: 'UPLOAD_REQUIRED' });
         }
 
-        await markSessionComplete(userId);
+        // A timer still running counts as completed
+        if (await endTimer(userId, 'completed')) await checkAchievements(userId);
         const stats = await getUserStats(userId);
         res.json({ success: true, message: 'Session complete! 🎨', stats });
     } catch (err) {
@@ -254,11 +1366,43 @@ app.post('/done', async (req, res) => {
     }
 });
 
+// Telegram updates in webhook mode. The handler is called without next(),
+// so a request with a missing or wrong secret token gets a bare 403.
+if (BOT_MODE === 'webhook') {
+    const handleUpdate = bot.webhookCallback(WEBHOOK_PATH, { secretToken: WEBHOOK_SECRET });
+    app.post(WEBHOOK_PATH, (req, res) => handleUpdate(req, res));
+}
+
 // Serve Mini-App
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Errors raised before a route runs: multer limits and unreadable JSON
+// bodies get a JSON 4xx instead of Express's HTML 500 page
+const MULTER_ERRORS = {
+    LIMIT_FILE_SIZE: [413, 'The file is too large'],
+    LIMIT_FILE_COUNT: [400, 'Send one file at a time'],
+    LIMIT_UNEXPECTED_FILE: [400, 'Unexpected file field']
+};
+const BODY_ERRORS = {
+    'entity.parse.failed': 'Request body is not valid JSON',
+    'entity.too.large': 'Request body is too large'
+};
+app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        const [status, message] = MULTER_ERRORS[err.code] || [400, err.message];
+        return res.status(status).json({ error: message, code: err.code });
+    }
+    // body-parser marks client errors with status and expose
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        const message = BODY_ERRORS[err.type] || err.message;
+        return res.status(err.status).json({ error: message, code: err.type });
+    }
+    console.error('Request error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+});
+
 // Bot error handler
 bot.catch((err, ctx) => {
     console.error('Bot error:', err);
@@ -268,10 +1412,95 @@ bot.catch((err, ctx) => {
 /* ========= START SERVICES ========= */
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, '0.0.0.0', () => console.log(`Express server on port ${PORT}`));
 
-bot.launch().then(() => console.log('Telegram bot started')).catch(console.error);
+// How long shutdown may wait for open requests before exiting anyway
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS || '10') * 1000;
+
+let server = null;
+
+// Migrate the database and restore running timers before taking traffic
+async function start() {
+    if (!BOT_MODES.includes(BOT_MODE)) {
+        throw new Error(`Unknown BOT_MODE "${BOT_MODE}" (use ${BOT_MODES.join(' or ')})`);
+    }
+    if (BOT_MODE === 'webhook' && !WEBHOOK_URL) {
+        throw new Error('BOT_MODE=webhook needs WEBHOOK_URL (or APP_URL) set to the public https URL of this app');
+    }
+
+    await initDatabase();
+    await restoreTimers();
+    reminders.start();
+    groupRecaps.start();
+    retention.start();
+
+    server = app.listen(PORT, '0.0.0.0', () => console.log(`Express server on port ${PORT}`));
+    if (BOT_MODE === 'webhook') {
+        // The same URL on every start, so this is safe to repeat
+        bot.telegram.setWebhook(`${WEBHOOK_URL}${WEBHOOK_PATH}`, { secret_token: WEBHOOK_SECRET })
+            .then(() => console.log(`Telegram webhook set to ${WEBHOOK_URL}${WEBHOOK_PATH}`))
+            .catch(console.error);
+    } else {
+        // launch() also removes any webhook left from webhook mode
+        bot.launch().then(() => console.log('Telegram bot started')).catch(console.error);
+    }
+}
+
+// Stop taking work, let open requests finish, then close the database.
+// Running timers stay in the timers table and are restored on next start.
+let shuttingDown = false;
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, shutting down`);
+    setTimeout(() => {
+        console.error('Shutdown timed out, exiting');
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    try {
+        reminders.stop();
+        groupRecaps.stop();
+        retention.stop();
+        for (const t of activeTimers.values()) clearTimeout(t.timeoutId);
+
+        if (BOT_MODE === 'polling') {
+            // throws if polling never started, e.g. Telegram was unreachable
+            try {
+                bot.stop(signal);
+            } catch (err) {
+                console.log('Bot was not running');
+            }
+        }
+        if (server) {
+            await new Promise((resolve) => {
+                server.close(resolve);
+                server.closeIdleConnections();
+            });
+        }
+        await closeDatabase();
+        console.log('Shutdown complete');
+    } catch (err) {
+        console.error('Shutdown error:', err);
+        process.exitCode = 1;
+    }
+}
+
+// Tests require this file for the app and bot without starting anything
+if (require.main === module) {
+    start().catch((err) => {
+        console.error('Startup error:', err);
+        process.exit(1);
+    });
+
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
 
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+module.exports = {
+    app,
+    bot,
+    start,
+    shutdown,
+    restoreTimers
+};
 
@@ -0,0 +1,105 @@
+// limits.js
+// Abuse protection for the HTTP API:
+//   rate limits - at most `limit` requests per key (IP address or user ID)
+//                 in a fixed window of windowMs
+//   upload quota - at most perDay sketches per user and local day
+// Refusals are 429s with a stable code and a readable message that the
+// Mini-App shows as is. Rate-limit counts live in this process's memory,
+// so with several instances each one enforces its own limits.
+
+// Expired windows are dropped once this many keys are tracked
+const PRUNE_AT = 10000;
+
+// limit 0 turns the limiter off.
+// clock: { now() } returning epoch ms; pass a fake one in tests
+function createRateLimiter({ limit, windowMs, clock = Date }) {
+    // key -> { count, resetAt }
+    const windows = new Map();
+
+    function prune(now) {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }
+
+    // Count one request for key: { allowed, limit, remaining, retryAfterSeconds }
+    function hit(key) {
+        if (!limit) return { allowed: true, limit, remaining: Infinity, retryAfterSeconds: 0 };
+
+        const now = clock.now();
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            if (windows.size >= PRUNE_AT) prune(now);
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        window.count++;
+        return {
+            allowed: window.count <= limit,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000)
+        };
+    }
+
+    return {
+        limit,
+        windowMs,
+        hit,
+        reset(key) {
+            windows.delete(key);
+        }
+    };
+}
+
+// Express middleware counting each request against limiter.
+// keyOf(req): the key to count under, or null to let the request through;
+// scope names the limit in the 429 body ('ip', 'user', ...)
+function rateLimit(limiter, { scope, keyOf }) {
+    return (req, res, next) => {
+        const key = keyOf(req);
+        if (key === null || key === undefined) return next();
+
+        const verdict = limiter.hit(`${scope}:${key}`);
+        if (verdict.allowed) return next();
+
+        res.set('Retry-After', String(verdict.retryAfterSeconds));
+        res.status(429).json({
+            error: `Too many requests. Please wait ${verdict.retryAfterSeconds} seconds and try again.`,
+            code: 'RATE_LIMITED',
+            scope,
+            limit: verdict.limit,
+            windowSeconds: Math.round(limiter.windowMs / 1000),
+            retryAfterSeconds: verdict.retryAfterSeconds
+        });
+    };
+}
+
+// db: { countTodayUploads }. perDay 0 turns the quota off.
+// check() is only a fast early refusal; what enforces the quota is
+// passing perDay to db.saveUpload as maxToday, which counts and inserts
+// in one transaction.
+function createUploadQuota({ perDay, db }) {
+    // { allowed, quota, used, code?, message? }
+    async function check(userId) {
+        if (!perDay) return { allowed: true, quota: perDay, used: null };
+
+        const used = await db.countTodayUploads(userId);
+        if (used < perDay) return { allowed: true, quota: perDay, used };
+        return {
+            allowed: false,
+            quota: perDay,
+            used,
+            code: 'UPLOAD_QUOTA_EXCEEDED',
+            message: `You've uploaded ${used} sketches today, the daily maximum. Please try again tomorrow.`
+        };
+    }
+
+    return { perDay, check };
+}
+
+module.exports = {
+    createRateLimiter,
+    rateLimit,
+    createUploadQuota
+};
@@ -0,0 +1,62 @@
+// photos.js
+// Brings photos sent to the bot into the same sketch storage as Mini-App
+// uploads. The Telegram side is a small client object with a single
+// download(fileId) method, so tests can pass a local stub instead.
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { processImage } = require('./images');
+
+// Real client: resolve the file through the Bot API and download it
+function createTelegramFileClient(telegram) {
+    return {
+        async download(fileId) {
+            const link = await telegram.getFileLink(fileId);
+            const response = await fetch(link);
+            if (!response.ok) {
+                throw new Error(`Telegram file download failed: ${response.status}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        }
+    };
+}
+
+// Stand-in for the Bot API: file IDs name files in dir. Set
+// TELEGRAM_FILES_DIR to run the bot against it in tests or development.
+function createLocalFileClient(dir) {
+    return {
+        async download(fileId) {
+            return fs.promises.readFile(path.join(dir, path.basename(String(fileId))));
+        }
+    };
+}
+
+// MIME type, byte size and pixel dimensions of an image buffer
+async function describeImage(buffer) {
+    const { format, width, height } = await sharp(buffer).metadata();
+    return {
+        mimeType: `image/${format === 'jpg' ? 'jpeg' : format}`,
+        sizeBytes: buffer.length,
+        width,
+        height
+    };
+}
+
+function createPhotoImporter({ client, storage, maxDimension }) {
+    // Download a Telegram photo and store it like a web upload.
+    // Throws images.ImageError if it isn't a usable image.
+    async function importPhoto(fileId) {
+        const { buffer, mimeType, sizeBytes, width, height } = await processImage(await client.download(fileId), { maxDimension });
+        const key = await storage.putContent(buffer, { contentType: mimeType });
+        return { key, mimeType, sizeBytes, width, height };
+    }
+
+    return { importPhoto };
+}
+
+module.exports = {
+    createTelegramFileClient,
+    createLocalFileClient,
+    createPhotoImporter,
+    describeImage
+};
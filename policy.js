@@ -0,0 +1,50 @@
+// policy.js
+// Server-side rule for when a sketch may be uploaded, shared by web
+// uploads, bot photos and /done:
+//   free    - any time
+//   started - after a timer was started today (running or not)
+//   minimum - after minMinutes of focus today, pauses excluded
+// A refusal carries a stable code for the Mini-App plus a readable message.
+
+const MODES = ['free', 'started', 'minimum'];
+
+// db: { getTodaySessions } returning [{ startedAt, focusedMs }] for the
+// user's local today; runningFocusMs(userId): focus so far of a running timer
+function createSessionPolicy({ mode = 'started', minMinutes = 10, db, runningFocusMs }) {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown session policy "${mode}" (use ${MODES.join(', ')})`);
+    }
+
+    function deny(code, message, extra = {}) {
+        return { allowed: false, mode, minMinutes, code, message, ...extra };
+    }
+
+    // { allowed, mode, minMinutes, code?, message?, focusedMinutes? }
+    async function check(userId) {
+        if (mode === 'free') return { allowed: true, mode, minMinutes };
+
+        const sessions = await db.getTodaySessions(userId);
+        if (!sessions.length) {
+            return deny('SESSION_REQUIRED', 'Start the focus timer before uploading today\'s sketch.');
+        }
+        if (mode === 'started') return { allowed: true, mode, minMinutes };
+
+        const focused = sessions.reduce((sum, session) => sum + session.focusedMs, 0) + runningFocusMs(userId);
+        const focusedMinutes = Math.floor(focused / 60000);
+        if (focusedMinutes < minMinutes) {
+            return deny(
+                'SESSION_TOO_SHORT',
+                `Focus for at least ${minMinutes} minutes today before uploading (${focusedMinutes} so far).`,
+                { focusedMinutes }
+            );
+        }
+        return { allowed: true, mode, minMinutes, focusedMinutes };
+    }
+
+    return { mode, minMinutes, check };
+}
+
+module.exports = {
+    MODES,
+    createSessionPolicy
+};
@@ -0,0 +1,143 @@
+// prompts.js
+// Drawing prompts and multi-day challenges from a curated library
+// (data/prompts.json, or PROMPTS_FILE). The prompt of the day is the same
+// for everyone on the same local day: the library is walked one prompt a
+// day in a fixed shuffled order, so a prompt comes back only after all the
+// others. Challenge progress is the number of days with an upload since
+// joining; day N of a challenge shows its Nth prompt.
+const fs = require('fs');
+const crypto = require('crypto');
+const { localDate, daysBetween } = require('./dates');
+
+// Read and sanity-check a library file; throws on anything malformed
+function loadPromptLibrary(file) {
+    const library = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const prompts = library.prompts || [];
+    const challenges = library.challenges || [];
+
+    if (!prompts.length) throw new Error(`Prompt library ${file} has no prompts`);
+    for (const prompt of prompts) {
+        if (!prompt.id || !prompt.text) throw new Error(`Prompt library ${file}: every prompt needs an id and text`);
+    }
+    for (const challenge of challenges) {
+        if (!challenge.id || !challenge.title || !(challenge.days > 0) || !(challenge.prompts || []).length) {
+            throw new Error(`Prompt library ${file}: challenge "${challenge.id}" needs a title, days and prompts`);
+        }
+    }
+    return { prompts, challenges };
+}
+
+// db: { getUserTimeZone, getActiveChallenge, startChallenge, leaveChallenge, completeChallenge }
+function createPrompts({ library, db }) {
+    const challenges = new Map(library.challenges.map((challenge) => [challenge.id, challenge]));
+
+    // The rotation: prompts ordered by a hash of their id, which mixes the
+    // library's themes and doesn't change when prompts are reordered
+    const idHash = (prompt) => crypto.createHash('sha256').update(prompt.id).digest('hex');
+    const rotation = library.prompts
+        .map((prompt) => ({ prompt, hash: idHash(prompt) }))
+        .sort((a, b) => (a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0))
+        .map(({ prompt }) => prompt);
+
+    // The prompt for a local day ('YYYY-MM-DD')
+    function promptOfTheDay(day) {
+        const index = daysBetween('1970-01-01', day) % rotation.length;
+        const prompt = rotation[index];
+        return { id: prompt.id, text: prompt.text, tags: prompt.tags || [] };
+    }
+
+    function describeChallenge(challenge) {
+        return {
+            id: challenge.id,
+            title: challenge.title,
+            description: challenge.description || '',
+            days: challenge.days
+        };
+    }
+
+    // active: row from db.getActiveChallenge; uploadDays are local days with
+    // an upload since it started
+    function progressOf(active) {
+        const challenge = challenges.get(active.challengeId);
+        if (!challenge) return null;
+
+        const completedDays = Math.min(active.uploadDays.length, challenge.days);
+        const sketchedToday = active.uploadDays.includes(active.today);
+        // Today's prompt is the next one, or the one just done if already sketched
+        const day = Math.max(1, Math.min(sketchedToday ? completedDays : completedDays + 1, challenge.days));
+
+        return {
+            ...describeChallenge(challenge),
+            startedOn: active.startedOn,
+            day,
+            completedDays,
+            sketchedToday,
+            completed: completedDays >= challenge.days,
+            prompt: challenge.prompts[(day - 1) % challenge.prompts.length]
+        };
+    }
+
+    async function getChallengeProgress(userId) {
+        const active = await db.getActiveChallenge(userId);
+        return active ? progressOf(active) : null;
+    }
+
+    // What to draw today: the challenge prompt while in one, otherwise the
+    // daily pick from the library
+    async function getTodayPrompt(userId) {
+        const today = localDate(await db.getUserTimeZone(userId));
+        const challenge = await getChallengeProgress(userId);
+
+        return {
+            today,
+            prompt: challenge
+                ? { id: `${challenge.id}-${challenge.day}`, text: challenge.prompt, tags: [challenge.id] }
+                : promptOfTheDay(today),
+            challenge
+        };
+    }
+
+    function listChallenges() {
+        return library.challenges.map(describeChallenge);
+    }
+
+    // Joining replaces any challenge already in progress
+    async function joinChallenge(userId, challengeId) {
+        if (!challenges.has(challengeId)) return null;
+        await db.startChallenge(userId, challengeId);
+        return getChallengeProgress(userId);
+    }
+
+    async function leaveChallenge(userId) {
+        await db.leaveChallenge(userId);
+    }
+
+    // Call after every upload; marks the challenge complete on its last day.
+    // Returns the progress (with justCompleted) or null when not in one.
+    async function recordUpload(userId) {
+        const active = await db.getActiveChallenge(userId);
+        if (!active) return null;
+
+        const progress = progressOf(active);
+        if (!progress) return null;
+        if (progress.completed) {
+            await db.completeChallenge(userId, active.challengeId, active.today);
+        }
+        return { ...progress, justCompleted: progress.completed };
+    }
+
+    return {
+        promptOfTheDay,
+        getTodayPrompt,
+        getChallengeProgress,
+        listChallenges,
+        joinChallenge,
+        leaveChallenge,
+        recordUpload
+    };
+}
+
+module.exports = {
+    loadPromptLibrary,
+    createPrompts
+};
@@ -2,19 +2,29 @@ class SketchTimer {
     constructor() {
         this.userId = null;
         this.userName = null;
+        this.initData = null; // signed Telegram payload, sent with every API call
         this.timer = null;
         this.timeLeft = 15 * 60; // 15 minutes in seconds
         this.isRunning = false;
         this.stats = null;
+        this.charts = {}; // Chart.js instances, replaced on every history reload
+        this.galleryBefore = null; // cursor for the next gallery page
+        this.startParam = null; // e.g. 'group-100123' when opened from a group
         
         this.initializeTelegramWebApp();
         this.initializeElements();
         this.initializeEventListeners();
         
-        // Load timer state first, then stats
-        this.loadTimerState().then(() => {
-            this.loadUserStats();
-        });
+        // Load timer state first, then stats (after the server knows our time zone)
+        this.loadTimerState()
+            .then(() => this.syncTimeZone())
+            .then(() => this.loadUserStats())
+            .then(() => this.loadHistory())
+            .then(() => this.loadPrompt())
+            .then(() => this.loadAchievements())
+            .then(() => this.loadLeaderboards())
+            .then(() => this.loadTags())
+            .then(() => this.loadGallery(true));
     }
     
     initializeTelegramWebApp() {
@@ -23,24 +33,43 @@ class SketchTimer {
             const tg = window.Telegram.WebApp;
             tg.ready();
             
-            // Get user data from Telegram
-            if (tg.initDataUnsafe && tg.initDataUnsafe.user) {
+            // Get user data from Telegram. The server verifies initData,
+            // initDataUnsafe is only used for display.
+            if (tg.initData && tg.initDataUnsafe && tg.initDataUnsafe.user) {
+                this.initData = tg.initData;
                 this.userId = tg.initDataUnsafe.user.id;
                 this.userName = tg.initDataUnsafe.user.first_name || tg.initDataUnsafe.user.username || 'Artist';
+                this.startParam = tg.initDataUnsafe.start_param || null;
             }
             
             // Set main button
             tg.MainButton.setText('Mark Session Complete');
             tg.MainButton.onClick(() => this.markSessionComplete());
         } else {
-            // Fallback for testing outside Telegram
-            console.warn('Telegram WebApp not available, using fallback');
-            this.userId = 12345; // Test user ID
-            this.userName = 'Test Artist';
+            console.warn('Telegram WebApp not available');
         }
         
         // Update UI with user info
-        document.getElementById('user-name').textContent = `Hello, ${this.userName}! 👋`;
+        document.getElementById('user-name').textContent = this.userId
+            ? `Hello, ${this.userName}! 👋`
+            : 'Open Sketch-Time from Telegram to continue';
+    }
+    
+    // fetch() wrapper that authenticates the request with Telegram initData.
+    // Rate-limit refusals (429 RATE_LIMITED) are shown here, once per wait.
+    async apiFetch(url, options = {}) {
+        const headers = Object.assign({}, options.headers, {
+            'Authorization': `tma ${this.initData}`
+        });
+        const response = await fetch(url, Object.assign({}, options, { headers }));
+        if (response.status === 429 && Date.now() >= (this.rateLimitedUntil || 0)) {
+            const data = await response.clone().json().catch(() => ({}));
+            if (data.code === 'RATE_LIMITED') {
+                this.rateLimitedUntil = Date.now() + data.retryAfterSeconds * 1000;
+                this.showError(data.error);
+            }
+        }
+        return response;
     }
     
     initializeElements() {
@@ -53,11 +82,33 @@ class SketchTimer {
         this.presetBtns = document.querySelectorAll('.preset-btn');
         this.currentStreakEl = document.getElementById('current-streak');
         this.longestStreakEl = document.getElementById('longest-streak');
+        this.streakFreezesEl = document.getElementById('streak-freezes');
         this.uploadStatusEl = document.getElementById('upload-status');
         this.statusIconEl = document.getElementById('status-icon');
         this.statusTextEl = document.getElementById('status-text');
         this.uploadHelpEl = document.getElementById('upload-help');
         this.totalSketchesEl = document.getElementById('total-sketches');
+        this.galleryGrid = document.getElementById('gallery-grid');
+        this.galleryMoreBtn = document.getElementById('gallery-more');
+        this.galleryEmptyEl = document.getElementById('gallery-empty');
+        this.galleryViewer = document.getElementById('gallery-viewer');
+        this.galleryTagSelect = document.getElementById('gallery-tag');
+        this.captionInput = document.getElementById('upload-caption');
+        this.mediumInput = document.getElementById('upload-medium');
+        this.tagsInput = document.getElementById('upload-tags');
+        this.promptHeadingEl = document.getElementById('prompt-heading');
+        this.promptTextEl = document.getElementById('prompt-text');
+        this.challengeProgressEl = document.getElementById('challenge-progress');
+        this.challengePickerEl = document.getElementById('challenge-picker');
+        this.challengeSelect = document.getElementById('challenge-select');
+        this.badgesGrid = document.getElementById('badges-grid');
+        this.leaderboardSection = document.getElementById('leaderboard-section');
+        this.leaderboardSelect = document.getElementById('leaderboard-group');
+        this.leaderboardList = document.getElementById('leaderboard-list');
+        this.exportBtn = document.getElementById('export-btn');
+        this.importBtn = document.getElementById('import-btn');
+        this.importInput = document.getElementById('import-input');
+        this.dataStatusEl = document.getElementById('data-status');
         
         // Set initial timer display
         this.updateTimerDisplay();
@@ -85,6 +136,48 @@ class SketchTimer {
         
         // File input change
         this.fileInput.addEventListener('change', (e) => this.handleFileSelection(e));
+        
+        // Gallery
+        this.galleryMoreBtn.addEventListener('click', () => this.loadGallery(false));
+        this.galleryViewer.addEventListener('click', () => this.closeSketch());
+        this.galleryTagSelect.addEventListener('change', () => this.loadGallery(true));
+        document.getElementById('gallery-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteSketch(this.viewedSketch);
+        });
+        
+        // Challenges
+        document.getElementById('challenge-join').addEventListener('click', () => this.joinChallenge(this.challengeSelect.value));
+        document.getElementById('challenge-leave').addEventListener('click', () => this.leaveChallenge());
+        
+        // Leaderboard group picker
+        this.leaderboardSelect.addEventListener('change', () => this.loadLeaderboard(this.leaderboardSelect.value));
+        
+        // Export / import
+        this.exportBtn.addEventListener('click', () => this.exportData());
+        this.importBtn.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', (e) => this.importData(e.target.files[0]));
+        document.getElementById('delete-account-btn').addEventListener('click', () => this.deleteAccount());
+    }
+    
+    // Streak days follow the user's local calendar; tell the server where we are
+    async syncTimeZone() {
+        if (!this.userId) return;
+        
+        try {
+            const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            if (!timeZone) return;
+            
+            await this.apiFetch('/timezone', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ timeZone }),
+            });
+        } catch (error) {
+            console.error('Error syncing time zone:', error);
+        }
     }
     
     async loadUserStats() {
@@ -94,7 +187,7 @@ class SketchTimer {
         }
         
         try {
-            const response = await fetch(`/stats/${this.userId}`);
+            const response = await this.apiFetch(`/stats/${this.userId}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -109,6 +202,502 @@ class SketchTimer {
         }
     }
     
+    async loadHistory() {
+        if (!this.userId) return;
+        
+        try {
+            const response = await this.apiFetch(`/history/${this.userId}?days=365`);
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const history = await response.json();
+            this.renderHeatmap(history.days);
+            this.renderCharts(history);
+            
+        } catch (error) {
+            console.error('Error loading history:', error);
+        }
+    }
+    
+    // GitHub-style grid: one column per week (Monday on top), one cell per day
+    renderHeatmap(days) {
+        const heatmap = document.getElementById('heatmap');
+        heatmap.innerHTML = '';
+        if (!days.length) return;
+        
+        // Pad the first column so every row is the same weekday
+        const firstWeekday = (new Date(`${days[0].date}T00:00:00Z`).getUTCDay() + 6) % 7;
+        for (let i = 0; i < firstWeekday; i++) {
+            const pad = document.createElement('div');
+            pad.className = 'heatmap-cell empty';
+            heatmap.appendChild(pad);
+        }
+        
+        days.forEach(day => {
+            const cell = document.createElement('div');
+            cell.className = `heatmap-cell level-${Math.min(day.sketches, 4)}`;
+            cell.title = `${day.date}: ${day.sketches} sketch${day.sketches === 1 ? '' : 'es'}`;
+            heatmap.appendChild(cell);
+        });
+        
+        // Start scrolled to the most recent weeks
+        heatmap.parentElement.scrollLeft = heatmap.scrollWidth;
+    }
+    
+    renderCharts(history) {
+        if (typeof Chart === 'undefined') return;
+        
+        const recentWeeks = history.weeks.slice(-12);
+        const recentDays = history.days.slice(-30);
+        
+        this.drawChart('weekly', 'weekly-chart', {
+            type: 'bar',
+            data: {
+                labels: recentWeeks.map(week => week.weekStart.slice(5)),
+                datasets: [{
+                    label: 'Sketches',
+                    data: recentWeeks.map(week => week.sketches),
+                    backgroundColor: '#667eea'
+                }]
+            }
+        });
+        
+        this.drawChart('focus', 'focus-chart', {
+            type: 'line',
+            data: {
+                labels: recentDays.map(day => day.date.slice(5)),
+                datasets: [{
+                    label: 'Focus minutes',
+                    data: recentDays.map(day => day.focusMinutes),
+                    borderColor: '#ff6b6b',
+                    backgroundColor: 'rgba(255, 107, 107, 0.2)',
+                    fill: true,
+                    tension: 0.3
+                }]
+            }
+        });
+    }
+    
+    drawChart(key, canvasId, config) {
+        if (this.charts[key]) {
+            this.charts[key].destroy();
+        }
+        
+        config.options = {
+            plugins: { legend: { display: false } },
+            scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+        };
+        this.charts[key] = new Chart(document.getElementById(canvasId), config);
+    }
+    
+    // Today's prompt, and either the running challenge or a picker to start one
+    async loadPrompt() {
+        if (!this.userId) return;
+        
+        try {
+            const [promptResponse, challengesResponse] = await Promise.all([
+                this.apiFetch('/prompt'),
+                this.apiFetch('/challenges')
+            ]);
+            if (!promptResponse.ok || !challengesResponse.ok) {
+                throw new Error(`HTTP error! status: ${promptResponse.status}/${challengesResponse.status}`);
+            }
+            
+            const { prompt, challenge } = await promptResponse.json();
+            const { challenges } = await challengesResponse.json();
+            
+            this.promptHeadingEl.textContent = challenge
+                ? `🎯 ${challenge.title} — Day ${challenge.day} of ${challenge.days}`
+                : '💡 Today\'s Prompt';
+            this.promptTextEl.textContent = prompt.text;
+            
+            if (challenge) {
+                document.getElementById('challenge-bar-fill').style.width = `${Math.round(challenge.completedDays / challenge.days * 100)}%`;
+                document.getElementById('challenge-status').textContent = `${challenge.completedDays} of ${challenge.days} days sketched`;
+            } else {
+                this.challengeSelect.innerHTML = '';
+                challenges.forEach(c => {
+                    const option = document.createElement('option');
+                    option.value = c.id;
+                    option.textContent = `${c.completed ? '✅ ' : ''}${c.title} (${c.days} days)`;
+                    this.challengeSelect.appendChild(option);
+                });
+            }
+            this.challengeProgressEl.style.display = challenge ? 'block' : 'none';
+            this.challengePickerEl.style.display = !challenge && challenges.length ? 'flex' : 'none';
+            
+        } catch (error) {
+            console.error('Error loading prompt:', error);
+            this.promptTextEl.textContent = 'Draw anything you can see from where you sit.';
+        }
+    }
+    
+    async joinChallenge(challengeId) {
+        if (!challengeId) return;
+        
+        try {
+            const response = await this.apiFetch('/challenges/join', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ challengeId }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            
+            this.loadPrompt();
+        } catch (error) {
+            console.error('Error joining challenge:', error);
+            this.showError('Could not start the challenge. Please try again.');
+        }
+    }
+    
+    async leaveChallenge() {
+        if (!confirm('Leave this challenge? Your progress in it will be lost.')) return;
+        
+        try {
+            const response = await this.apiFetch('/challenges/leave', { method: 'POST' });
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            
+            this.loadPrompt();
+        } catch (error) {
+            console.error('Error leaving challenge:', error);
+            this.showError('Could not leave the challenge. Please try again.');
+        }
+    }
+    
+    // Badges grid: unlocked ones in colour, the rest greyed out
+    async loadAchievements() {
+        if (!this.userId) return;
+        
+        try {
+            const response = await this.apiFetch('/achievements');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const { achievements } = await response.json();
+            this.badgesGrid.innerHTML = '';
+            achievements.forEach(achievement => {
+                const badge = document.createElement('div');
+                badge.className = achievement.unlockedAt ? 'badge' : 'badge locked';
+                badge.title = achievement.unlockedAt
+                    ? `${achievement.description} — unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}`
+                    : achievement.description;
+                
+                const icon = document.createElement('span');
+                icon.className = 'badge-icon';
+                icon.textContent = achievement.icon;
+                
+                const title = document.createElement('span');
+                title.className = 'badge-title';
+                title.textContent = achievement.title;
+                
+                badge.append(icon, title);
+                this.badgesGrid.appendChild(badge);
+            });
+        } catch (error) {
+            console.error('Error loading achievements:', error);
+        }
+    }
+    
+    setDataStatus(message, isError = false) {
+        this.dataStatusEl.textContent = message;
+        this.dataStatusEl.classList.toggle('error', isError);
+    }
+    
+    // The archive arrives in the bot chat; downloads don't work in every Telegram client
+    async exportData() {
+        if (!this.userId) return;
+        
+        this.exportBtn.disabled = true;
+        this.setDataStatus('Packing your sketches...');
+        try {
+            const response = await this.apiFetch('/export', { method: 'POST' });
+            const data = await response.json();
+            this.setDataStatus(response.ok ? data.message : data.error || 'Could not create your archive.', !response.ok);
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            this.setDataStatus('Network error. Please check your connection and try again.', true);
+        } finally {
+            this.exportBtn.disabled = false;
+        }
+    }
+    
+    // Restore a ZIP from Export; sketches and sessions already here are skipped
+    async importData(file) {
+        if (!this.userId || !file) return;
+        this.importInput.value = '';
+        
+        this.importBtn.disabled = true;
+        this.setDataStatus('Importing your archive...');
+        try {
+            const formData = new FormData();
+            formData.append('archive', file);
+            const response = await this.apiFetch('/import', { method: 'POST', body: formData });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                // Validation lists what is wrong; show the first few
+                const problems = (data.problems || []).slice(0, 3);
+                this.setDataStatus([data.error || 'Import failed.', ...problems].join(' • '), true);
+                return;
+            }
+            
+            this.setDataStatus(data.message);
+            this.stats = data.stats;
+            this.updateUI();
+            this.loadHistory();
+            this.loadPrompt();
+            this.loadAchievements();
+            this.loadTags();
+            this.loadGallery(true);
+        } catch (error) {
+            console.error('Error importing data:', error);
+            this.setDataStatus('Network error. Please check your connection and try again.', true);
+        } finally {
+            this.importBtn.disabled = false;
+        }
+    }
+    
+    async deleteAccount() {
+        if (!this.userId) return;
+        if (!confirm('Permanently delete all your sketches, sessions, streaks, badges and settings? Export first if you want a copy.')) return;
+        
+        try {
+            const response = await this.apiFetch('/account', { method: 'DELETE' });
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            
+            this.setDataStatus('Your account was deleted.');
+            this.loadUserStats();
+            this.loadHistory();
+            this.loadPrompt();
+            this.loadAchievements();
+            this.loadLeaderboards();
+            this.loadTags();
+            this.loadGallery(true);
+        } catch (error) {
+            console.error('Error deleting account:', error);
+            this.setDataStatus('Could not delete your account. Please try again.', true);
+        }
+    }
+    
+    // Leaderboards of the user's groups; opened from a group, that one first
+    async loadLeaderboards() {
+        if (!this.userId) return;
+        
+        try {
+            const response = await this.apiFetch('/groups');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const { groups } = await response.json();
+            const match = /^group(-?\d+)$/.exec(this.startParam || '');
+            const openedFrom = match ? match[1] : null;
+            if (!groups.length && !openedFrom) return;
+            
+            this.leaderboardSelect.innerHTML = '';
+            groups.forEach(group => {
+                const option = document.createElement('option');
+                option.value = group.chatId;
+                option.textContent = group.title || 'Group';
+                this.leaderboardSelect.appendChild(option);
+            });
+            if (openedFrom) this.leaderboardSelect.value = openedFrom;
+            this.leaderboardSelect.style.display = groups.length > 1 ? 'block' : 'none';
+            this.leaderboardSection.style.display = 'block';
+            
+            await this.loadLeaderboard(openedFrom || this.leaderboardSelect.value);
+        } catch (error) {
+            console.error('Error loading leaderboards:', error);
+        }
+    }
+    
+    async loadLeaderboard(chatId) {
+        try {
+            const response = await this.apiFetch(`/leaderboard?chatId=${encodeURIComponent(chatId)}`);
+            const data = await response.json();
+            this.leaderboardList.innerHTML = '';
+            
+            if (!response.ok) {
+                this.leaderboardList.appendChild(this.createLeaderboardNote(data.error || 'Leaderboard unavailable'));
+                return;
+            }
+            if (!data.members.length) {
+                this.leaderboardList.appendChild(this.createLeaderboardNote('Nobody has joined yet. Send /join in the group!'));
+                return;
+            }
+            
+            const medals = ['🥇', '🥈', '🥉'];
+            data.members.forEach(member => {
+                const item = document.createElement('li');
+                if (member.userId === this.userId) item.className = 'me';
+                
+                const rank = document.createElement('span');
+                rank.className = 'leaderboard-rank';
+                rank.textContent = medals[member.rank - 1] || member.rank;
+                
+                const name = document.createElement('span');
+                name.className = 'leaderboard-name';
+                name.textContent = member.username;
+                
+                const score = document.createElement('span');
+                score.className = 'leaderboard-score';
+                score.textContent = `🔥 ${member.currentStreak} · ${member.weekCount} this week`;
+                
+                item.append(rank, name, score);
+                this.leaderboardList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error loading leaderboard:', error);
+        }
+    }
+    
+    createLeaderboardNote(text) {
+        const item = document.createElement('li');
+        item.className = 'leaderboard-note';
+        item.textContent = text;
+        return item;
+    }
+    
+    // Gallery: first page on reset, otherwise the next page after galleryBefore
+    async loadGallery(reset) {
+        if (!this.userId) return;
+        
+        try {
+            const params = new URLSearchParams({ limit: '12' });
+            if (!reset && this.galleryBefore) params.set('before', this.galleryBefore);
+            if (this.galleryTagSelect.value) params.set('tag', this.galleryTagSelect.value);
+            
+            const response = await this.apiFetch(`/sketches?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            if (reset) this.galleryGrid.innerHTML = '';
+            
+            data.sketches.forEach(sketch => this.galleryGrid.appendChild(this.createGalleryItem(sketch)));
+            
+            this.galleryBefore = data.nextBefore;
+            this.galleryMoreBtn.style.display = data.nextBefore ? 'flex' : 'none';
+            this.galleryEmptyEl.style.display = this.galleryGrid.children.length ? 'none' : 'block';
+            
+        } catch (error) {
+            console.error('Error loading gallery:', error);
+        }
+    }
+    
+    // The user's tags for the gallery filter, and mediums for the upload field
+    async loadTags() {
+        if (!this.userId) return;
+        
+        try {
+            const response = await this.apiFetch('/tags');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            const selected = this.galleryTagSelect.value;
+            this.galleryTagSelect.innerHTML = '<option value="">All tags</option>';
+            data.tags.forEach(({ tag, count }) => {
+                const option = document.createElement('option');
+                option.value = tag;
+                option.textContent = `#${tag} (${count})`;
+                this.galleryTagSelect.appendChild(option);
+            });
+            // keep the filter if the tag still exists
+            this.galleryTagSelect.value = data.tags.some(({ tag }) => tag === selected) ? selected : '';
+            this.galleryTagSelect.style.display = data.tags.length ? 'block' : 'none';
+            
+            const mediums = [...new Set([...data.mediums.map(({ medium }) => medium), ...data.suggestedMediums])];
+            const datalist = document.getElementById('medium-options');
+            datalist.innerHTML = '';
+            mediums.forEach(medium => {
+                const option = document.createElement('option');
+                option.value = medium;
+                datalist.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading tags:', error);
+        }
+    }
+    
+    createGalleryItem(sketch) {
+        const item = document.createElement('div');
+        item.className = 'gallery-item';
+        
+        // The server sends null URLs for sketches whose image is gone
+        if (sketch.thumbnailUrl) {
+            const img = document.createElement('img');
+            img.alt = 'Sketch';
+            img.src = sketch.thumbnailUrl;
+            item.appendChild(img);
+        } else {
+            const missing = document.createElement('span');
+            missing.className = 'gallery-missing';
+            missing.textContent = 'Image unavailable';
+            item.appendChild(missing);
+        }
+        
+        const date = document.createElement('span');
+        date.className = 'gallery-date';
+        date.textContent = new Date(sketch.createdAt).toLocaleDateString();
+        item.appendChild(date);
+        
+        item.addEventListener('click', () => this.openSketch(sketch));
+        return item;
+    }
+    
+    openSketch(sketch) {
+        this.viewedSketch = sketch;
+        const img = document.getElementById('gallery-viewer-img');
+        img.style.display = sketch.imageUrl ? 'block' : 'none';
+        if (sketch.imageUrl) img.src = sketch.imageUrl;
+        document.getElementById('gallery-viewer-date').textContent = [
+            new Date(sketch.createdAt).toLocaleString(),
+            sketch.medium
+        ].filter(Boolean).join(' · ');
+        document.getElementById('gallery-viewer-caption').textContent = [
+            sketch.caption,
+            sketch.tags.map(tag => `#${tag}`).join(' ')
+        ].filter(Boolean).join('\n');
+        this.galleryViewer.style.display = 'flex';
+    }
+    
+    closeSketch() {
+        this.galleryViewer.style.display = 'none';
+        this.viewedSketch = null;
+    }
+    
+    // Streaks, prompts and the gallery all change when a sketch goes
+    async deleteSketch(sketch) {
+        if (!sketch || !confirm('Delete this sketch? Your streak will be recalculated without it.')) return;
+        
+        try {
+            const response = await this.apiFetch(`/sketches/${sketch.id}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            this.closeSketch();
+            this.loadUserStats();
+            this.loadHistory();
+            this.loadPrompt();
+            this.loadTags();
+            this.loadGallery(true);
+            this.showSuccess('Sketch deleted.');
+        } catch (error) {
+            console.error('Error deleting sketch:', error);
+            this.showError('Could not delete the sketch. Please try again.');
+        }
+    }
+    
     async loadTimerState() {
         if (!this.userId) {
             // No user ID available, show default state
@@ -118,7 +707,7 @@ class SketchTimer {
         }
         
         try {
-            const response = await fetch(`/timer/${this.userId}`);
+            const response = await this.apiFetch(`/timer/${this.userId}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -126,7 +715,25 @@ class SketchTimer {
             
             const timerData = await response.json();
             
-            if (timerData.hasActiveTimer && !timerData.isExpired) {
+            if (timerData.hasActiveTimer && timerData.paused) {
+                // Paused on the backend: show the exact time left and wait for Resume
+                this.backendTimer = {
+                    endTime: timerData.endTime,
+                    duration: timerData.duration,
+                    isRunning: false,
+                    paused: true
+                };
+                
+                this.timeLeft = Math.ceil(timerData.remainingMs / 1000);
+                this.timerStartedToday = true;
+                
+                this.startBtn.textContent = 'Resume';
+                this.startBtn.disabled = false;
+                
+                this.updateUploadButtonState();
+                
+                console.log(`Timer paused: ${this.timeLeft} seconds remaining`);
+            } else if (timerData.hasActiveTimer && !timerData.isExpired) {
                 // Resume timer from backend state
                 this.backendTimer = {
                     endTime: timerData.endTime,
@@ -169,15 +776,24 @@ class SketchTimer {
         this.currentStreakEl.textContent = this.stats.currentStreak;
         this.longestStreakEl.textContent = this.stats.longestStreak;
         this.totalSketchesEl.textContent = this.stats.totalUploads;
+        this.updateFreezes();
         
         // Update upload status
         const hasUploadedToday = this.stats.hasUploadedToday;
         
         if (hasUploadedToday) {
+            const count = this.stats.todayUploads || 1;
             this.uploadStatusEl.classList.remove('not-uploaded');
             this.uploadStatusEl.classList.add('uploaded');
             this.statusIconEl.textContent = '✅';
-            this.statusTextEl.textContent = 'Sketch uploaded! Today\'s session is complete';
+            this.statusTextEl.textContent = count > 1
+                ? `${count} sketches uploaded today! Your streak is safe`
+                : 'Sketch uploaded! Today\'s session is complete';
+        } else if (this.stats.isRestDay) {
+            this.uploadStatusEl.classList.remove('not-uploaded');
+            this.uploadStatusEl.classList.add('uploaded');
+            this.statusIconEl.textContent = '😴';
+            this.statusTextEl.textContent = 'Rest day — your streak is safe';
         } else {
             this.uploadStatusEl.classList.remove('uploaded');
             this.uploadStatusEl.classList.add('not-uploaded');
@@ -192,48 +808,64 @@ class SketchTimer {
         this.updateWeeklyMonthlyStats();
     }
     
+    // Freeze inventory under the current streak, e.g. "❄️❄️ 2/2 freezes"
+    updateFreezes() {
+        const { freezesAvailable = 0, maxFreezes = 0, freezeEvery } = this.stats;
+        if (!maxFreezes) {
+            this.streakFreezesEl.textContent = '';
+            return;
+        }
+        this.streakFreezesEl.textContent = `${'❄️'.repeat(freezesAvailable)} ${freezesAvailable}/${maxFreezes} freezes`.trim();
+        this.streakFreezesEl.title = `Earn a freeze every ${freezeEvery} days of streak; one is used automatically when you miss a day.`;
+    }
+    
     updateWeeklyMonthlyStats() {
-        if (!this.stats.recentHistory) return;
-        
-        const now = new Date();
-        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+        // Rolling 7/30-day totals, computed server-side in the user's time zone
+        document.getElementById('week-count').textContent = this.stats.weekCount || 0;
+        document.getElementById('month-count').textContent = this.stats.monthCount || 0;
         
-        let weekCount = 0;
-        let monthCount = 0;
-        
-        this.stats.recentHistory.forEach(day => {
-            const dayDate = new Date(day.upload_date);
-            if (dayDate >= weekAgo) {
-                weekCount += day.sketches;
-            }
-            if (dayDate >= monthAgo) {
-                monthCount += day.sketches;
-            }
-        });
-        
-        document.getElementById('week-count').textContent = weekCount;
-        document.getElementById('month-count').textContent = monthCount;
+        // Focus totals over every finished timer session
+        document.getElementById('focus-total').textContent = this.formatMinutes(this.stats.totalFocusMinutes || 0);
+        document.getElementById('focus-average').textContent = this.formatMinutes(this.stats.averageFocusMinutes || 0);
+        document.getElementById('sessions-completed').textContent = this.stats.completedSessions || 0;
+    }
+    
+    // 95 -> "1h 35m", 40 -> "40m"
+    formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        return hours ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
     }
     
     updateUploadButtonState() {
         const hasUploadedToday = this.stats?.hasUploadedToday;
+        // Server verdicts as of the last stats load (SESSION_POLICY, UPLOAD_DAILY_QUOTA)
+        const policy = this.stats?.uploadPolicy;
+        const quota = this.stats?.uploadQuota;
         
-        if (hasUploadedToday) {
-            // Already uploaded today - disable button
+        if (quota && !quota.allowed) {
+            // Daily quota used up - disable button until tomorrow
             this.uploadBtn.disabled = true;
-            this.uploadBtn.innerHTML = '<span class="btn-icon">✅</span> Sketch Uploaded Today';
-            this.uploadHelpEl.textContent = 'You\'ve already uploaded a sketch today!';
-        } else if (this.timerStartedToday || this.timerCompleted) {
-            // Timer started/completed today and no upload yet - enable button
+            this.uploadBtn.innerHTML = '<span class="btn-icon">✅</span> Daily Limit Reached';
+            this.uploadHelpEl.textContent = quota.message;
+        } else if (hasUploadedToday || policy?.allowed || this.timerStartedToday || this.timerCompleted) {
+            // Allowed by the server, or timer started/completed since - enable button.
+            // More sketches on the same day are welcome; the streak counts the day once.
             this.uploadBtn.disabled = false;
-            this.uploadBtn.innerHTML = '<span class="btn-icon">📸</span> Upload Sketch';
-            this.uploadHelpEl.textContent = 'Click to select and upload your sketch!';
+            this.uploadBtn.innerHTML = hasUploadedToday
+                ? '<span class="btn-icon">📸</span> Upload Another Sketch'
+                : '<span class="btn-icon">📸</span> Upload Sketch';
+            if (hasUploadedToday) {
+                this.uploadHelpEl.textContent = 'Today already counts for your streak. Add as many studies as you like!';
+            } else {
+                this.uploadHelpEl.textContent = policy?.mode === 'minimum' && !policy.allowed
+                    ? `Upload once you've focused for ${policy.minMinutes} minutes today`
+                    : 'Click to select and upload your sketch!';
+            }
         } else {
             // Timer not started today - disable button
             this.uploadBtn.disabled = true;
             this.uploadBtn.innerHTML = '<span class="btn-icon">📸</span> Upload Sketch';
-            this.uploadHelpEl.textContent = 'Start the timer to enable sketch upload';
+            this.uploadHelpEl.textContent = policy?.message || 'Start the timer to enable sketch upload';
         }
     }
     
@@ -260,8 +892,12 @@ class SketchTimer {
             // Update upload button state when timer starts
             this.updateUploadButtonState();
             
-            // Notify backend about timer start
-            this.notifyTimerStart();
+            // Continue a paused backend timer, or start a new one
+            if (this.backendTimer && this.backendTimer.paused) {
+                this.notifyTimerResume();
+            } else {
+                this.notifyTimerStart();
+            }
             
             this.startBackendSyncedTimer();
         }
@@ -289,14 +925,25 @@ class SketchTimer {
     
     pauseTimer() {
         if (this.isRunning) {
-            this.isRunning = false;
-            clearInterval(this.timer);
+            this.stopCountdown();
             this.startBtn.textContent = 'Resume';
             this.startBtn.disabled = false;
-            document.querySelector('.timer-section').classList.remove('timer-running');
+            
+            // Hold the backend notification while paused
+            if (this.backendTimer) {
+                this.backendTimer.isRunning = false;
+                this.backendTimer.paused = true;
+                this.notifyTimerPause();
+            }
         }
     }
     
+    stopCountdown() {
+        this.isRunning = false;
+        clearInterval(this.timer);
+        document.querySelector('.timer-section').classList.remove('timer-running');
+    }
+    
     resetTimer() {
         this.isRunning = false;
         clearInterval(this.timer);
@@ -332,7 +979,9 @@ class SketchTimer {
     }
     
     timerComplete() {
-        this.pauseTimer();
+        this.stopCountdown();
+        this.startBtn.textContent = 'Resume';
+        this.startBtn.disabled = false;
         this.timerCompleted = true;
         
         // Clear backend timer state
@@ -378,9 +1027,10 @@ class SketchTimer {
         const file = event.target.files[0];
         if (!file) return;
         
-        // Validate file type
-        if (!file.type.match(/^image\/(png|jpeg)$/)) {
-            this.showError('Please select a PNG or JPEG image file.');
+        // Quick check only; the server sniffs the real type. HEIC files
+        // often come without a MIME type, so go by the name as well.
+        if (!file.type.match(/^image\/(png|jpeg|webp|heic|heif)$/) && !/\.(heic|heif)$/i.test(file.name)) {
+            this.showError('Please select a PNG, JPEG, WebP or HEIC image.');
             return;
         }
         
@@ -407,9 +1057,11 @@ class SketchTimer {
         try {
             const formData = new FormData();
             formData.append('sketch', file);
-            formData.append('userId', this.userId.toString());
+            formData.append('caption', this.captionInput.value);
+            formData.append('medium', this.mediumInput.value);
+            formData.append('tags', this.tagsInput.value);
             
-            const response = await fetch('/upload', {
+            const response = await this.apiFetch('/upload', {
                 method: 'POST',
                 body: formData
             });
@@ -420,18 +1072,41 @@ class SketchTimer {
                 // Update stats with new data
                 this.stats = data.stats;
                 this.updateUI();
+                this.loadHistory();
+                this.loadPrompt();
+                this.loadAchievements();
+                this.loadGallery(true);
                 
                 // Cancel backend timer since session is complete
                 this.cancelTimerNotification();
                 
-                // Show success message
-                this.showSuccess(data.message);
+                // Show success message, plus anything this upload unlocked
+                const extras = (data.achievements || []).map(badge => `${badge.icon} ${badge.title} unlocked!`);
+                if (data.challenge && data.challenge.justCompleted) {
+                    extras.unshift(`🏅 You completed ${data.challenge.title}!`);
+                }
+                this.showSuccess([data.message, ...extras].join(' '));
                 
-                // Clear file input
+                // Clear file input and the details; the medium is often the same next time
                 this.fileInput.value = '';
+                this.captionInput.value = '';
+                this.tagsInput.value = '';
+                this.loadTags();
                 
             } else {
-                this.showError(data.error || 'Failed to upload sketch');
+                // Refused by the session policy or quota: the server says why
+                if (data.code === 'SESSION_REQUIRED') {
+                    this.timerStartedToday = false;
+                    this.timerCompleted = false;
+                }
+                if (data.policy && this.stats) {
+                    this.stats.uploadPolicy = { allowed: false, code: data.code, message: data.error, mode: data.policy, minMinutes: data.minMinutes };
+                }
+                if (data.code === 'UPLOAD_QUOTA_EXCEEDED' && this.stats) {
+                    this.stats.uploadQuota = { allowed: false, code: data.code, message: data.error, quota: data.quota, used: data.used };
+                }
+                // apiFetch has already shown rate-limit refusals
+                if (data.code !== 'RATE_LIMITED') this.showError(data.error || 'Failed to upload sketch');
                 this.updateUploadButtonState();
             }
             
@@ -448,13 +1123,12 @@ class SketchTimer {
         const durationMinutes = Math.floor(this.timeLeft / 60);
         
         try {
-            const response = await fetch('/start-timer', {
+            const response = await this.apiFetch('/start-timer', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    userId: this.userId,
                     duration: durationMinutes
                 }),
             });
@@ -477,18 +1151,60 @@ class SketchTimer {
         }
     }
     
+    async notifyTimerPause() {
+        if (!this.userId) return;
+        
+        try {
+            const response = await this.apiFetch('/pause-timer', { method: 'POST' });
+            const data = await response.json();
+            
+            if (response.ok) {
+                // Use the backend's remaining time so resume picks up exactly here
+                this.timeLeft = Math.ceil(data.remainingMs / 1000);
+                this.updateTimerDisplay();
+                console.log(`Timer paused on backend: ${this.timeLeft} seconds remaining`);
+            }
+            
+        } catch (error) {
+            console.error('Error notifying backend about timer pause:', error);
+        }
+    }
+    
+    async notifyTimerResume() {
+        if (!this.userId) return;
+        
+        try {
+            const response = await this.apiFetch('/resume-timer', { method: 'POST' });
+            const data = await response.json();
+            
+            if (response.ok) {
+                this.backendTimer = {
+                    endTime: data.endTime,
+                    duration: data.duration,
+                    isRunning: true
+                };
+                
+                console.log(`Timer resumed on backend: ${Math.floor(data.remainingMs / 1000)} seconds remaining`);
+            } else {
+                // Backend timer is gone, start a fresh one from what's left
+                this.backendTimer = null;
+                this.notifyTimerStart();
+            }
+            
+        } catch (error) {
+            console.error('Error notifying backend about timer resume:', error);
+        }
+    }
+    
     async cancelTimerNotification() {
         if (!this.userId) return;
         
         try {
-            await fetch('/cancel-timer', {
+            await this.apiFetch('/cancel-timer', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({
-                    userId: this.userId
-                }),
             });
             
             console.log('Timer notification cancelled on backend');
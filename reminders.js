@@ -0,0 +1,108 @@
+// reminders.js
+// Daily nudges from the bot. Once a minute every opted-in user is checked:
+// at their reminder time they get a reminder if they haven't sketched yet,
+// and at warningTime a "streak ends at midnight" warning if a streak is at
+// risk (or a heads-up that a streak freeze is about to be spent). What was
+// sent is stored per local day, so after a restart missed messages go out
+// on the first tick and nothing is sent twice.
+const { localDate, localTime } = require('./dates');
+
+const TICK_MS = 60 * 1000;
+
+// db: { getReminderUsers, getUserStats, markReminderHandled, setReminderTime }
+// clock: { now() } returning epoch ms; pass a fake one in tests and call tick()
+function createReminderScheduler({ telegram, db, warningTime = '21:00', clock = Date }) {
+    let interval = null;
+    let running = false;
+
+    async function send(user, text) {
+        try {
+            await telegram.sendMessage(user.userId, text);
+        } catch (err) {
+            // 403: the user blocked the bot, stop reminding them
+            if (err.response && err.response.error_code === 403) {
+                await db.setReminderTime(user.userId, null);
+                console.log(`Reminders turned off for user ${user.userId} (bot blocked)`);
+            } else {
+                throw err;
+            }
+        }
+    }
+
+    async function checkUser(user, now) {
+        const today = localDate(user.timeZone, now);
+        const time = localTime(user.timeZone, now);
+        const dueReminder = user.lastReminderDate !== today && time >= user.reminderTime;
+        const dueWarning = user.lastWarningDate !== today && time >= warningTime;
+        if (!dueReminder && !dueWarning) return;
+
+        const stats = await db.getUserStats(user.userId, { historyDays: 1, now });
+        const sketchedToday = stats.lastUploadDate === today;
+
+        if (dueReminder) {
+            if (!sketchedToday) {
+                await send(user, '✏️ Time to sketch! You haven\'t uploaded a sketch today yet — even 15 minutes counts.');
+            }
+            await db.markReminderHandled(user.userId, 'reminder', today);
+        }
+
+        if (dueWarning) {
+            // Rest days can't break a streak; otherwise a freeze may cover today
+            const streakAtRisk = !sketchedToday && !stats.isRestDay && stats.currentStreak > 0;
+            if (streakAtRisk && stats.freezesAvailable > 0) {
+                await send(user, `❄️ No sketch yet today — a streak freeze will save your ${stats.currentStreak}-day streak at midnight (${stats.freezesAvailable} left). Upload a sketch to keep it for later.`);
+            } else if (streakAtRisk) {
+                await send(user, `🔥 Your ${stats.currentStreak}-day streak ends at midnight! Upload a sketch to keep it going.`);
+            }
+            await db.markReminderHandled(user.userId, 'warning', today);
+        }
+    }
+
+    // One pass over all opted-in users
+    async function tick() {
+        if (running) return;
+        running = true;
+        try {
+            const now = new Date(clock.now());
+            for (const user of await db.getReminderUsers()) {
+                try {
+                    await checkUser(user, now);
+                } catch (err) {
+                    console.error(`Reminder error for user ${user.userId}:`, err);
+                }
+            }
+        } catch (err) {
+            console.error('Reminder tick error:', err);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        tick,
+        start() {
+            if (interval) return;
+            tick();
+            interval = setInterval(tick, TICK_MS);
+        },
+        stop() {
+            clearInterval(interval);
+            interval = null;
+        }
+    };
+}
+
+// '8:30' / '08:30' / '20:05' -> 'HH:MM', or null if not a valid time
+function parseReminderTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+module.exports = {
+    createReminderScheduler,
+    parseReminderTime
+};
@@ -0,0 +1,101 @@
+// retention.js
+// Removes sketch images nothing points at any more. Storage is keyed by
+// content, so two uploads can share a file: deleting a sketch or account
+// only removes files no remaining upload uses. A periodic sweep catches
+// the rest, such as files left by a failed upload or import, legacy files
+// from before storage/ that have since been copied in, and thumbnails of
+// deleted originals. Files younger than graceMs are never swept, so an
+// upload that is stored but not yet saved to the database is safe.
+const fs = require('fs');
+const path = require('path');
+const { thumbnailKeyFor } = require('./gallery');
+
+// Only these keys are ever swept, so other files sharing the directory or
+// bucket are left alone. Legacy uploads were saved as uploads/sketch-*.
+const SWEPT_KEYS = [/^sketches\//, /^thumbnails\//, /^sketch-[^/]+$/];
+
+// db: { isFileReferenced, getReferencedFileIds }
+// intervalMs 0 turns the periodic sweep off; removeFiles still works.
+// clock: { now() } returning epoch ms; pass a fake one in tests and call tick()
+function createRetention({ storage, db, graceMs = 24 * 60 * 60 * 1000, intervalMs = 24 * 60 * 60 * 1000, clock = Date }) {
+    let interval = null;
+    let running = false;
+
+    // Files of deleted uploads (uploads.fileId values). Returns how many
+    // were removed; ones still used by another upload are kept.
+    async function removeFiles(fileIds) {
+        let removed = 0;
+        for (const fileId of new Set(fileIds)) {
+            if (await db.isFileReferenced(fileId)) continue;
+
+            if (path.isAbsolute(fileId)) {
+                // legacy row: a path on disk
+                await fs.promises.rm(fileId, { force: true });
+            } else if (fileId.includes('/')) {
+                await storage.delete(fileId);
+                await storage.delete(thumbnailKeyFor(fileId));
+            } else {
+                // a bare Telegram file_id; we never stored a copy
+                continue;
+            }
+            removed++;
+        }
+        return removed;
+    }
+
+    // Delete swept keys that no upload uses and that are older than the
+    // grace period. Returns the number of files removed.
+    async function sweep() {
+        const keep = new Set();
+        for (const fileId of await db.getReferencedFileIds()) {
+            if (path.isAbsolute(fileId)) {
+                keep.add(path.basename(fileId));
+            } else if (fileId.includes('/')) {
+                keep.add(fileId);
+                keep.add(thumbnailKeyFor(fileId));
+            }
+        }
+
+        const cutoff = clock.now() - graceMs;
+        let removed = 0;
+        for (const { key, modifiedAt } of await storage.list()) {
+            if (keep.has(key) || !SWEPT_KEYS.some((pattern) => pattern.test(key))) continue;
+            if (new Date(modifiedAt).getTime() > cutoff) continue;
+            await storage.delete(key);
+            removed++;
+        }
+        return removed;
+    }
+
+    async function tick() {
+        if (running) return;
+        running = true;
+        try {
+            const removed = await sweep();
+            if (removed) console.log(`Retention sweep removed ${removed} orphaned file(s)`);
+        } catch (err) {
+            console.error('Retention sweep error:', err);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        removeFiles,
+        sweep,
+        tick,
+        start() {
+            if (interval || !intervalMs) return;
+            tick();
+            interval = setInterval(tick, intervalMs);
+        },
+        stop() {
+            clearInterval(interval);
+            interval = null;
+        }
+    };
+}
+
+module.exports = {
+    createRetention
+};
@@ -0,0 +1,32 @@
+// scripts/migrate.js
+// Schema migrations CLI.
+// Usage:
+//   npm run migrate                  apply pending migrations
+//   npm run migrate -- rollback [n]  undo the last n migrations (default 1)
+//   npm run migrate -- status        list migrations and when they ran
+const { initDatabase, rollbackDatabase, migrationStatus, closeDatabase } = require('../database');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'up') {
+    await initDatabase();
+    console.log('Database is up to date');
+  } else if (command === 'rollback') {
+    const rolledBack = await rollbackDatabase(parseInt(arg) || 1);
+    console.log(rolledBack.length ? `Rolled back: ${rolledBack.join(', ')}` : 'Nothing to roll back');
+  } else if (command === 'status') {
+    for (const migration of await migrationStatus()) {
+      console.log(`${migration.appliedAt ? '✔' : ' '} ${migration.name}${migration.appliedAt ? `  (${migration.appliedAt})` : ''}`);
+    }
+  } else {
+    throw new Error(`Unknown command "${command}" (use up, rollback or status)`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error('Migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
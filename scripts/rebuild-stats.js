@@ -0,0 +1,17 @@
+// scripts/rebuild-stats.js
+// Admin backfill: recompute every stats row from the uploads table.
+// Usage: npm run rebuild-stats
+const { initDatabase, rebuildAllStats, closeDatabase } = require('../database');
+
+async function main() {
+  await initDatabase();
+  const users = await rebuildAllStats();
+  console.log(`Rebuilt stats for ${users} user(s)`);
+}
+
+main()
+  .catch((err) => {
+    console.error('Rebuild stats error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
@@ -0,0 +1,70 @@
+// storage/index.js
+// Where sketch images live. Every driver implements
+//   put(key, buffer, contentType), get(key), exists(key), delete(key),
+//   touch(key, contentType) -> whether the file exists,
+//   getReadUrl(key, { expiresIn }), list() -> [{ key, modifiedAt }]
+// and files are named by content hash, so the same image is stored once.
+const crypto = require('crypto');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+};
+
+function createStorage(config) {
+    const driver = config.driver === 's3'
+        ? createS3Storage(config.s3)
+        : createLocalStorage(config.local);
+    const urlTtlSeconds = config.urlTtlSeconds || 3600;
+
+    return {
+        driver,
+
+        // Store a buffer under prefix/<sha256>.<ext> and return its key.
+        // A file that is already there is touched instead, so the
+        // retention sweep sees it as new and leaves it alone until the
+        // upload reusing it is saved.
+        async putContent(buffer, { contentType, prefix = 'sketches' }) {
+            const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+            const key = `${prefix}/${hash}${EXTENSIONS[contentType] || ''}`;
+            if (!(await driver.touch(key, contentType))) {
+                await driver.put(key, buffer, contentType);
+            }
+            return key;
+        },
+
+        get: (key) => driver.get(key),
+        exists: (key) => driver.exists(key),
+        delete: (key) => driver.delete(key),
+        list: () => driver.list(),
+        getReadUrl: (key) => driver.getReadUrl(key, { expiresIn: urlTtlSeconds })
+    };
+}
+
+// Storage settings from the environment
+function storageConfigFromEnv(env, { defaultDir, fallbackSecret }) {
+    return {
+        driver: env.STORAGE_DRIVER || 'local',
+        urlTtlSeconds: parseInt(env.STORAGE_URL_TTL_SECONDS || '3600'),
+        local: {
+            rootDir: env.STORAGE_DIR || defaultDir,
+            secret: env.STORAGE_URL_SECRET || fallbackSecret
+        },
+        s3: {
+            bucket: env.S3_BUCKET,
+            endpoint: env.S3_ENDPOINT,
+            region: env.S3_REGION,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+        }
+    };
+}
+
+module.exports = {
+    createStorage,
+    storageConfigFromEnv
+};
@@ -0,0 +1,93 @@
+// storage/local.js
+// Local filesystem driver. Read URLs point at the app's own /files route
+// and carry an HMAC signature with an expiry, so paths aren't guessable.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createLocalStorage({ rootDir, secret, baseUrl = '/files' }) {
+    if (!secret) throw new Error('Local storage needs a URL signing secret');
+
+    function resolve(key) {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    function sign(key, expires) {
+        return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+    }
+
+    return {
+        async put(key, buffer) {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        async get(key) {
+            return fs.promises.readFile(resolve(key));
+        },
+
+        async exists(key) {
+            try {
+                await fs.promises.access(resolve(key));
+                return true;
+            } catch (err) {
+                return false;
+            }
+        },
+
+        async delete(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        },
+
+        async touch(key) {
+            const now = new Date();
+            try {
+                await fs.promises.utimes(resolve(key), now, now);
+                return true;
+            } catch (err) {
+                if (err.code === 'ENOENT') return false;
+                throw err;
+            }
+        },
+
+        // Every file under rootDir; nothing when it doesn't exist yet
+        async list() {
+            let names;
+            try {
+                names = await fs.promises.readdir(rootDir, { recursive: true });
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+            const files = [];
+            for (const name of names) {
+                const stat = await fs.promises.stat(path.join(rootDir, name));
+                if (stat.isFile()) files.push({ key: name.split(path.sep).join('/'), modifiedAt: stat.mtime });
+            }
+            return files;
+        },
+
+        async getReadUrl(key, { expiresIn }) {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            const params = new URLSearchParams({ expires: String(expires), signature: sign(key, expires) });
+            return `${baseUrl}/${key}?${params}`;
+        },
+
+        // Used by the /files route to check a URL from getReadUrl
+        verifyReadUrl(key, expires, signature) {
+            if (!signature || !(parseInt(expires) > Date.now() / 1000)) return false;
+            const expected = Buffer.from(sign(key, parseInt(expires)), 'hex');
+            const given = Buffer.from(String(signature), 'hex');
+            return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+        }
+    };
+}
+
+module.exports = {
+    createLocalStorage
+};
@@ -0,0 +1,85 @@
+// storage/s3.js
+// S3-compatible driver (AWS S3, MinIO, R2, ...). Read URLs are presigned
+// GETs against the bucket; the bucket itself should stay private.
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+function createS3Storage({ bucket, endpoint, region = 'us-east-1', accessKeyId, secretAccessKey, forcePathStyle = false }) {
+    if (!bucket) throw new Error('S3 storage needs a bucket');
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        async put(key, buffer, contentType) {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+        },
+
+        async get(key) {
+            const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await res.Body.transformToByteArray());
+        },
+
+        async exists(key) {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return true;
+            } catch (err) {
+                if (err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404)) return false;
+                throw err;
+            }
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        // Copying an object onto itself is how S3 updates LastModified
+        async touch(key, contentType) {
+            try {
+                await client.send(new CopyObjectCommand({
+                    Bucket: bucket,
+                    Key: key,
+                    CopySource: `${bucket}/${encodeURIComponent(key)}`,
+                    MetadataDirective: 'REPLACE',
+                    ContentType: contentType
+                }));
+                return true;
+            } catch (err) {
+                if (err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404)) return false;
+                throw err;
+            }
+        },
+
+        async list() {
+            const files = [];
+            let ContinuationToken;
+            do {
+                const res = await client.send(new ListObjectsV2Command({ Bucket: bucket, ContinuationToken }));
+                for (const object of res.Contents || []) files.push({ key: object.Key, modifiedAt: object.LastModified });
+                ContinuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return files;
+        },
+
+        async getReadUrl(key, { expiresIn }) {
+            return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+        }
+    };
+}
+
+module.exports = {
+    createS3Storage
+};
@@ -0,0 +1,86 @@
+// streaks.js
+// Streak engine: everything is derived from the list of days a user
+// uploaded on, so stats can always be rebuilt from the uploads table.
+// Streak freezes are derived the same way: replaying the days earns one
+// for every `freezeEvery` days of a streak and spends one on each missed
+// day that would otherwise end it. Scheduled rest days never break a
+// streak and don't add to it either.
+const { addDays, weekdayOf } = require('./dates');
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const WEEKDAY_NAMES = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DEFAULT_FREEZE_EVERY = 7;
+const DEFAULT_MAX_FREEZES = 2;
+// Rest days exist to make room for a day off, not to replace the habit
+const MAX_REST_DAYS = 2;
+
+// days: ascending, de-duplicated 'YYYY-MM-DD' strings in the user's zone
+// today: the user's current local day
+// restDays: weekday names from WEEKDAYS, e.g. ['sun']
+function computeStreaks(days, today, {
+  restDays = [],
+  freezeEvery = DEFAULT_FREEZE_EVERY,
+  maxFreezes = DEFAULT_MAX_FREEZES
+} = {}) {
+  const uploaded = new Set(days);
+  const lastUploadDate = days.length ? days[days.length - 1] : null;
+  let longestStreak = 0;
+  let run = 0;
+  let freezesAvailable = 0;
+  const frozenDays = [];
+
+  if (lastUploadDate) {
+    // Uploads can sit after "today" right after a move to a western zone
+    const end = lastUploadDate > today ? lastUploadDate : today;
+    for (let day = days[0]; day <= end; day = addDays(day, 1)) {
+      if (uploaded.has(day)) {
+        run++;
+        if (run > longestStreak) longestStreak = run;
+        if (freezeEvery > 0 && run % freezeEvery === 0 && freezesAvailable < maxFreezes) {
+          freezesAvailable++;
+        }
+      } else if (day >= today || restDays.includes(WEEKDAYS[weekdayOf(day)])) {
+        // today isn't over yet, and rest days are skipped
+      } else if (run > 0 && freezesAvailable > 0) {
+        freezesAvailable--;
+        frozenDays.push(day);
+      } else {
+        run = 0;
+      }
+    }
+  }
+
+  return {
+    currentStreak: run,
+    longestStreak,
+    lastUploadDate,
+    freezesAvailable,
+    frozenDays
+  };
+}
+
+// 'sat,sun' / 'Sat Sun' / 'saturday' -> ['sat', 'sun'] in week order
+// (any 3+ letter prefix of a day name works),
+// [] for 'off'/'none', or null if something isn't a weekday
+function parseRestDays(text) {
+  const words = String(text || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+  if (words.length === 1 && (words[0] === 'off' || words[0] === 'none')) return [];
+
+  const picked = new Set();
+  for (const word of words) {
+    const index = WEEKDAY_NAMES.findIndex((name) => word.length >= 3 && name.startsWith(word));
+    if (index === -1) return null;
+    picked.add(WEEKDAYS[index]);
+  }
+  return WEEKDAYS.filter((day) => picked.has(day));
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_FREEZE_EVERY,
+  DEFAULT_MAX_FREEZES,
+  MAX_REST_DAYS,
+  computeStreaks,
+  parseRestDays
+};
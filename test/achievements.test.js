@@ -0,0 +1,117 @@
+// Badge checks on either side of each threshold, with the repository
+// replaced by progress held in memory
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ACHIEVEMENTS, createAchievements } = require('../achievements');
+
+const MINUTE_MS = 60 * 1000;
+
+// progress: what getAchievementProgress would return; unlocks are kept
+// per badge id, and `taken` ids answer like a concurrent unlock won
+function fakeDb(progress = {}, { taken = [] } = {}) {
+    const unlocked = new Map();
+    return {
+        unlocked,
+        progress: { timeZone: 'UTC', totalUploads: 0, longestStreak: 0, sessions: [], ...progress },
+        async getAchievementProgress() {
+            return this.progress;
+        },
+        async getUnlockedAchievements() {
+            return [...unlocked].map(([achievementId, unlockedAt]) => ({ achievementId, unlockedAt }));
+        },
+        async unlockAchievement(userId, achievementId) {
+            if (taken.includes(achievementId) || unlocked.has(achievementId)) return null;
+            const unlockedAt = `2024-03-10T12:00:0${unlocked.size}Z`;
+            unlocked.set(achievementId, unlockedAt);
+            return unlockedAt;
+        }
+    };
+}
+
+// The ids evaluate() unlocks for this progress
+async function earned(progress) {
+    const unlocked = await createAchievements({ db: fakeDb(progress) }).evaluate(1);
+    return unlocked.map((badge) => badge.id);
+}
+
+const session = (startedAt, minutes) => ({ startedAt: new Date(startedAt), focusedMs: minutes * MINUTE_MS });
+
+test('nothing is earned without progress', async () => {
+    assert.deepEqual(await earned({}), []);
+});
+
+test('the first upload earns First Sketch', async () => {
+    assert.deepEqual(await earned({ totalUploads: 1 }), ['first-sketch']);
+});
+
+test('streak badges unlock at 7, 30 and 100 days of the longest streak', async () => {
+    const streak = async (days) => (await earned({ totalUploads: days, longestStreak: days })).filter((id) => id.startsWith('streak-'));
+    assert.deepEqual(await streak(6), []);
+    assert.deepEqual(await streak(7), ['streak-7']);
+    assert.deepEqual(await streak(29), ['streak-7']);
+    assert.deepEqual(await streak(30), ['streak-7', 'streak-30']);
+    assert.deepEqual(await streak(99), ['streak-7', 'streak-30']);
+    assert.deepEqual(await streak(100), ['streak-7', 'streak-30', 'streak-100']);
+});
+
+test('Ten Hours of Focus adds up whole minutes across sessions', async () => {
+    const sessions = (last) => [session('2024-03-10T12:00:00Z', 300), session('2024-03-11T12:00:00Z', last)];
+    assert.deepEqual(await earned({ sessions: sessions(299.99) }), []);
+    assert.deepEqual(await earned({ sessions: sessions(300) }), ['focus-10h']);
+});
+
+test('Early Bird needs 15 minutes in a session started from 4 to 8 am local time', async () => {
+    const early = (startedAt, minutes, timeZone = 'UTC') => earned({ timeZone, sessions: [session(startedAt, minutes)] });
+    assert.deepEqual(await early('2024-03-10T03:59:00Z', 60), []);
+    assert.deepEqual(await early('2024-03-10T04:00:00Z', 15), ['early-bird']);
+    assert.deepEqual(await early('2024-03-10T07:59:00Z', 15), ['early-bird']);
+    assert.deepEqual(await early('2024-03-10T08:00:00Z', 60), []);
+    assert.deepEqual(await early('2024-03-10T05:00:00Z', 14.99), []);
+
+    // 06:30 in Tokyo, and 21:30 in UTC
+    assert.deepEqual(await early('2024-03-09T21:30:00Z', 20, 'Asia/Tokyo'), ['early-bird']);
+    assert.deepEqual(await early('2024-03-10T06:30:00Z', 20, 'Asia/Tokyo'), []);
+});
+
+test('evaluate unlocks each badge once and never takes one away', async () => {
+    const db = fakeDb({ totalUploads: 7, longestStreak: 7 });
+    const achievements = createAchievements({ db });
+
+    const first = await achievements.evaluate(1);
+    assert.deepEqual(first.map((badge) => [badge.id, badge.unlockedAt]), [
+        ['first-sketch', '2024-03-10T12:00:00Z'],
+        ['streak-7', '2024-03-10T12:00:01Z']
+    ]);
+    assert.deepEqual(Object.keys(first[0]), ['id', 'icon', 'title', 'description', 'unlockedAt']);
+    assert.deepEqual(await achievements.evaluate(1), []);
+
+    // a deleted sketch lowers the progress, not the badges
+    db.progress = { ...db.progress, totalUploads: 0, longestStreak: 0 };
+    assert.deepEqual(await achievements.evaluate(1), []);
+    assert.deepEqual([...db.unlocked.keys()], ['first-sketch', 'streak-7']);
+});
+
+test('evaluate skips the progress lookup once everything is unlocked', async () => {
+    const db = fakeDb();
+    for (const achievement of ACHIEVEMENTS) db.unlocked.set(achievement.id, '2024-03-01T00:00:00Z');
+    db.getAchievementProgress = () => assert.fail('progress looked up');
+    assert.deepEqual(await createAchievements({ db }).evaluate(1), []);
+});
+
+test('a badge a concurrent evaluation unlocked first isn\'t reported twice', async () => {
+    const db = fakeDb({ totalUploads: 1, longestStreak: 7 }, { taken: ['first-sketch'] });
+    const unlocked = await createAchievements({ db }).evaluate(1);
+    assert.deepEqual(unlocked.map((badge) => badge.id), ['streak-7']);
+});
+
+test('list shows every badge, with unlockedAt for the earned ones', async () => {
+    const db = fakeDb({ totalUploads: 1 });
+    const achievements = createAchievements({ db });
+    await achievements.evaluate(1);
+
+    const list = await achievements.list(1);
+    assert.deepEqual(list.map((badge) => badge.id), ACHIEVEMENTS.map((achievement) => achievement.id));
+    assert.deepEqual(list.filter((badge) => badge.unlockedAt).map((badge) => [badge.id, badge.unlockedAt]), [
+        ['first-sketch', '2024-03-10T12:00:00Z']
+    ]);
+});
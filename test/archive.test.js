@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const sharp = require('sharp');
+const { ArchiveError, createArchive } = require('../archive');
+
+// Stands in for the repository and storage: records what would be imported
+function fakeArchive(options = {}) {
+    const imported = [];
+    const db = {
+        async importUserData(userId, username, data) {
+            imported.push(data);
+            return {
+                uploads: { imported: data.uploads.length, skipped: 0 },
+                sessions: { imported: data.sessions.length, skipped: 0 }
+            };
+        }
+    };
+    const storage = { putContent: async (buffer) => `sketches/${buffer.length}.png` };
+    return { imported, archive: createArchive({ db, storage, ensureStored: null, maxDimension: 100, ...options }) };
+}
+
+function zipOf(document, files = {}) {
+    const zip = new AdmZip();
+    zip.addFile('data.json', Buffer.from(JSON.stringify({ format: 'sketch-time-export', version: 1, ...document })));
+    for (const [name, data] of Object.entries(files)) zip.addFile(name, data);
+    return zip.toBuffer();
+}
+
+// The ArchiveError importArchive rejects with
+async function importError(archive, buffer) {
+    const err = await archive.importArchive(1, 'ada', buffer).then(() => null, (error) => error);
+    assert.ok(err instanceof ArchiveError, `expected an ArchiveError, got ${err}`);
+    return err;
+}
+
+test('imports sketches with their images and details', async () => {
+    const png = await sharp({ create: { width: 20, height: 10, channels: 3, background: '#000' } }).png().toBuffer();
+    const { archive, imported } = fakeArchive();
+    const summary = await archive.importArchive(1, 'ada', zipOf({
+        uploads: [{ id: 7, createdAt: '2024-03-10T12:00:00Z', source: 'telegram', file: 'sketches/a.png', tags: ['cat'], medium: 'Ink' }],
+        sessions: [{ startedAt: '2024-03-10T11:30:00Z', endedAt: '2024-03-10T11:55:00Z', focusedMs: 1500000, pausedMs: 0, pauseCount: 0, outcome: 'completed', uploadId: 7 }]
+    }, { 'sketches/a.png': png }));
+
+    assert.deepEqual(summary.uploads, { imported: 1, skipped: 0, missing: 0 });
+    const [upload] = imported[0].uploads;
+    assert.deepEqual(
+        { ref: upload.ref, source: upload.source, width: upload.width, tags: upload.tags, medium: upload.medium, fileId: upload.fileId },
+        { ref: 7, source: 'telegram', width: 20, tags: ['cat'], medium: 'ink', fileId: `sketches/${png.length}.png` }
+    );
+    assert.equal(imported[0].sessions[0].uploadRef, 7);
+});
+
+test('counts sketches exported without an image as skipped', async () => {
+    const { archive } = fakeArchive();
+    const summary = await archive.importArchive(1, 'ada', zipOf({
+        uploads: [{ id: 1, createdAt: '2024-03-10T12:00:00Z', file: null }, { id: 2, createdAt: '2024-03-11T12:00:00Z', file: null }]
+    }));
+    assert.deepEqual(summary.uploads, { imported: 0, skipped: 2, missing: 2 });
+});
+
+test('reports items that are not objects instead of failing', async () => {
+    const { archive, imported } = fakeArchive();
+    const err = await importError(archive, zipOf({
+        settings: 'UTC',
+        uploads: [null, 3],
+        sessions: ['x'],
+        achievements: [null],
+        challenges: [[]]
+    }));
+    assert.deepEqual(err.problems, [
+        'settings is not an object',
+        'uploads[0] is not an object',
+        'uploads[1] is not an object',
+        'sessions[0] is not an object',
+        'achievements[0] is not an object',
+        'challenges[0] is not an object'
+    ]);
+    assert.deepEqual(imported, []);
+});
+
+test('lists what is wrong with each item', async () => {
+    const { archive } = fakeArchive();
+    const err = await importError(archive, zipOf({
+        uploads: [{ id: 1, createdAt: 'yesterday', file: 'sketches/missing.png' }],
+        sessions: [{ startedAt: '2024-03-10T11:30:00Z', outcome: 'abandoned', focusedMs: -1, pausedMs: 0, pauseCount: 0, uploadId: 9 }]
+    }));
+    assert.deepEqual(err.problems, [
+        'uploads[0]: invalid createdAt',
+        'uploads[0]: sketches/missing.png is not in the archive',
+        'sessions[0]: unknown outcome "abandoned"',
+        'sessions[0]: focusedMs, pausedMs and pauseCount must be whole numbers',
+        'sessions[0]: uploadId 9 is not in uploads'
+    ]);
+});
+
+test('refuses archives that are not exports', async () => {
+    const { archive } = fakeArchive();
+    assert.equal((await importError(archive, Buffer.from('not a zip'))).message, 'Not a ZIP archive');
+    assert.equal((await importError(archive, zipOf({ version: 2 }))).message, 'Unsupported export version 2');
+
+    const zip = new AdmZip();
+    zip.addFile('notes.txt', Buffer.from('hello'));
+    assert.match((await importError(archive, zip.toBuffer())).message, /data\.json is missing/);
+});
+
+// Rewrite the uncompressed size every entry's headers claim
+function claimSize(buffer, size) {
+    for (let i = 0; i + 4 <= buffer.length; i++) {
+        const signature = buffer.readUInt32LE(i);
+        if (signature === 0x04034b50) buffer.writeUInt32LE(size, i + 22); // local header
+        if (signature === 0x02014b50) buffer.writeUInt32LE(size, i + 24); // central directory
+    }
+    return buffer;
+}
+
+test('stops inflating once the real size passes maxUnpackedBytes', async () => {
+    // 200 KB of padding whose headers claim 10 bytes
+    const zip = new AdmZip();
+    zip.addFile('data.json', Buffer.concat([Buffer.from('{}'), Buffer.alloc(200000, 32)]));
+    const buffer = claimSize(zip.toBuffer(), 10);
+
+    const { archive } = fakeArchive({ maxUnpackedBytes: 50000 });
+    assert.equal((await importError(archive, buffer)).message, 'Archive is too large to import');
+});
+
+test('refuses archives whose declared size is too large', async () => {
+    const { archive } = fakeArchive({ maxUnpackedBytes: 100 });
+    assert.equal((await importError(archive, zipOf({ padding: 'x'.repeat(200) }))).message, 'Archive is too large to import');
+});
+
+test('maxUnpackedBytes defaults to 64 MB', async () => {
+    const { archive } = fakeArchive();
+    const claiming = (size) => claimSize(zipOf({ uploads: [], sessions: [] }), size);
+    assert.equal((await importError(archive, claiming(64 * 1024 * 1024 + 1))).message, 'Archive is too large to import');
+    await archive.importArchive(1, 'ada', claiming(64 * 1024 * 1024));
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AuthError, verifyInitData, signInitData, createAuthMiddleware } = require('../auth');
+
+const BOT_TOKEN = '123456:test-token';
+const USER = { id: 42, first_name: 'Ada', username: 'ada' };
+const NOW = Date.parse('2024-03-10T12:00:00Z');
+const AUTH_DATE = NOW / 1000 - 60;
+
+function signed(fields = {}) {
+    return signInitData({ user: USER, auth_date: AUTH_DATE, query_id: 'AAE', ...fields }, BOT_TOKEN);
+}
+
+// The AuthError verifyInitData throws, for assert.throws
+function authError(message, status = 401) {
+    return (err) => err instanceof AuthError && err.message === message && err.status === status;
+}
+
+test('verifyInitData accepts data signed by signInitData', () => {
+    const auth = verifyInitData(signed({ start_param: 'ref1' }), BOT_TOKEN, { now: NOW });
+    assert.deepEqual(auth.user, USER);
+    assert.equal(auth.authDate, AUTH_DATE);
+    assert.equal(auth.queryId, 'AAE');
+    assert.equal(auth.startParam, 'ref1');
+    assert.equal(auth.chatType, null);
+});
+
+test('verifyInitData refuses data signed with another token', () => {
+    const initData = signInitData({ user: USER, auth_date: AUTH_DATE }, '654321:other-token');
+    assert.throws(() => verifyInitData(initData, BOT_TOKEN, { now: NOW }), authError('Invalid init data signature'));
+});
+
+test('verifyInitData refuses tampered fields', () => {
+    const initData = signed().replace(encodeURIComponent('"id":42'), encodeURIComponent('"id":43'));
+    assert.notEqual(initData, signed());
+    assert.throws(() => verifyInitData(initData, BOT_TOKEN, { now: NOW }), authError('Invalid init data signature'));
+});
+
+test('verifyInitData refuses a malformed or missing hash', () => {
+    const params = new URLSearchParams(signed());
+    params.set('hash', 'abc');
+    assert.throws(() => verifyInitData(params.toString(), BOT_TOKEN, { now: NOW }), authError('Invalid init data signature'));
+    params.delete('hash');
+    assert.throws(() => verifyInitData(params.toString(), BOT_TOKEN, { now: NOW }), authError('Missing init data hash'));
+});
+
+test('verifyInitData enforces maxAgeSeconds', () => {
+    const initData = signed();
+    assert.throws(
+        () => verifyInitData(initData, BOT_TOKEN, { now: NOW + 3600 * 1000, maxAgeSeconds: 3600 }),
+        authError('Init data expired')
+    );
+    assert.equal(verifyInitData(initData, BOT_TOKEN, { now: NOW + 3600 * 1000, maxAgeSeconds: 0 }).user.id, 42);
+});
+
+test('verifyInitData needs a user, init data and a bot token', () => {
+    const noUser = signInitData({ auth_date: AUTH_DATE }, BOT_TOKEN);
+    assert.throws(() => verifyInitData(noUser, BOT_TOKEN, { now: NOW }), authError('Init data has no user'));
+    assert.throws(() => verifyInitData('', BOT_TOKEN), authError('Missing init data'));
+    assert.throws(() => verifyInitData(signed(), ''), authError('Bot token not configured', 500));
+});
+
+// Just enough of Express's req and res for the middleware
+function fakeRequest(headers, { params = {}, body = {} } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { params, body, get: (name) => lower[name.toLowerCase()] };
+}
+
+function run(middleware, req) {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let nextCalled = false;
+    middleware(req, res, () => {
+        nextCalled = true;
+    });
+    return { res, nextCalled };
+}
+
+test('the middleware sets req.userId from a tma Authorization header', () => {
+    const middleware = createAuthMiddleware({ botToken: BOT_TOKEN, maxAgeSeconds: 0 });
+    const req = fakeRequest({ Authorization: `tma ${signed()}` }, { params: { userId: '42' } });
+    const { nextCalled } = run(middleware, req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.userId, 42);
+    assert.equal(req.telegram.user.username, 'ada');
+});
+
+test('the middleware reads X-Telegram-Init-Data too', () => {
+    const middleware = createAuthMiddleware({ botToken: BOT_TOKEN, maxAgeSeconds: 0 });
+    const req = fakeRequest({ 'X-Telegram-Init-Data': signed() });
+    assert.equal(run(middleware, req).nextCalled, true);
+    assert.equal(req.userId, 42);
+});
+
+test('the middleware answers 401 without valid init data', () => {
+    const middleware = createAuthMiddleware({ botToken: BOT_TOKEN });
+    const { res, nextCalled } = run(middleware, fakeRequest({}));
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: 'Missing init data' });
+});
+
+test('the middleware answers 403 when the claimed userId is someone else', () => {
+    const middleware = createAuthMiddleware({ botToken: BOT_TOKEN, maxAgeSeconds: 0 });
+    for (const claim of [{ params: { userId: '7' } }, { body: { userId: 7 } }]) {
+        const { res, nextCalled } = run(middleware, fakeRequest({ Authorization: `tma ${signed()}` }, claim));
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 403);
+    }
+});
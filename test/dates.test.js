@@ -0,0 +1,62 @@
+// Day arithmetic around daylight saving changes. America/New_York springs
+// forward on 2024-03-10 (02:00 EST -> 03:00 EDT, 07:00 UTC) and falls back
+// on 2024-11-03 (02:00 EDT -> 01:00 EST, 06:00 UTC).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidTimeZone, localDate, localTime, addDays, daysBetween, weekdayOf } = require('../dates');
+
+const NY = 'America/New_York';
+
+test('localDate turns over at local midnight on both sides of spring forward', () => {
+  assert.equal(localDate(NY, new Date('2024-03-10T04:59:00Z')), '2024-03-09'); // 23:59 EST
+  assert.equal(localDate(NY, new Date('2024-03-10T05:00:00Z')), '2024-03-10'); // 00:00 EST
+  assert.equal(localDate(NY, new Date('2024-03-11T03:59:00Z')), '2024-03-10'); // 23:59 EDT
+  assert.equal(localDate(NY, new Date('2024-03-11T04:00:00Z')), '2024-03-11'); // 00:00 EDT
+});
+
+test('localDate turns over at local midnight on both sides of fall back', () => {
+  assert.equal(localDate(NY, new Date('2024-11-03T03:59:00Z')), '2024-11-02'); // 23:59 EDT
+  assert.equal(localDate(NY, new Date('2024-11-03T04:00:00Z')), '2024-11-03'); // 00:00 EDT
+  assert.equal(localDate(NY, new Date('2024-11-04T04:59:00Z')), '2024-11-03'); // 23:59 EST
+  assert.equal(localDate(NY, new Date('2024-11-04T05:00:00Z')), '2024-11-04'); // 00:00 EST
+});
+
+test('localTime follows the clock change', () => {
+  assert.equal(localTime(NY, new Date('2024-03-10T06:59:00Z')), '01:59');
+  assert.equal(localTime(NY, new Date('2024-03-10T07:00:00Z')), '03:00');
+  // the repeated hour after fall back reads the same twice
+  assert.equal(localTime(NY, new Date('2024-11-03T05:30:00Z')), '01:30');
+  assert.equal(localTime(NY, new Date('2024-11-03T06:30:00Z')), '01:30');
+});
+
+test('localDate and localTime default to UTC', () => {
+  const instant = new Date('2024-03-10T23:30:00Z');
+  assert.equal(localDate(undefined, instant), '2024-03-10');
+  assert.equal(localDate(null, instant), '2024-03-10');
+  assert.equal(localTime(null, instant), '23:30');
+});
+
+test('day arithmetic ignores the 23- and 25-hour days', () => {
+  assert.equal(addDays('2024-03-09', 1), '2024-03-10');
+  assert.equal(addDays('2024-03-10', 1), '2024-03-11');
+  assert.equal(addDays('2024-11-03', 1), '2024-11-04');
+  assert.equal(addDays('2024-11-04', -2), '2024-11-02');
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(daysBetween('2024-03-01', '2024-04-01'), 31);
+  assert.equal(daysBetween('2024-11-01', '2024-11-08'), 7);
+  assert.equal(daysBetween('2024-11-08', '2024-11-01'), -7);
+});
+
+test('weekdayOf counts from Monday', () => {
+  assert.equal(weekdayOf('2024-03-10'), 6); // Sunday
+  assert.equal(weekdayOf('2024-03-11'), 0);
+  assert.equal(weekdayOf('2024-11-02'), 5);
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone(NY), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(42), false);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DetailsError, parseTag, parseDetails, detailsFromCaption } = require('../details');
+
+const detailsError = (message) => (err) => err instanceof DetailsError && message.test(err.message);
+
+test('parseTag drops the # and lowercases', () => {
+    assert.equal(parseTag('#Ink'), 'ink');
+    assert.equal(parseTag('  Still-Life_2 '), 'still-life_2');
+    assert.equal(parseTag('Портрет'), 'портрет');
+    assert.equal(parseTag('x'.repeat(32)), 'x'.repeat(32));
+});
+
+test('parseTag refuses anything that isn\'t a tag', () => {
+    for (const value of ['', '#', 'two words', 'ink!', '#a#b', 'x'.repeat(33)]) {
+        assert.throws(() => parseTag(value), detailsError(/is not a valid tag/), value);
+    }
+});
+
+test('parseDetails reads tags from a list or a string, without repeats', () => {
+    assert.deepEqual(parseDetails({ tags: '#Hands, hands  #study' }), { tags: ['hands', 'study'] });
+    assert.deepEqual(parseDetails({ tags: ['Hands', ' ', '#Study'] }), { tags: ['hands', 'study'] });
+    assert.deepEqual(parseDetails({ tags: '' }), { tags: [] });
+
+    const eleven = Array.from({ length: 11 }, (_, i) => `t${i}`);
+    assert.throws(() => parseDetails({ tags: eleven }), detailsError(/at most 10 tags/));
+    assert.deepEqual(parseDetails({ tags: [...eleven.slice(0, 10), 'T0'] }).tags, eleven.slice(0, 10));
+});
+
+test('parseDetails returns only the fields it was given', () => {
+    assert.deepEqual(parseDetails({}), {});
+    assert.deepEqual(parseDetails({ medium: '  Soft   Pastel ' }), { medium: 'soft pastel' });
+    assert.deepEqual(parseDetails({ caption: '  ', medium: '' }), { caption: null, medium: null });
+    assert.throws(() => parseDetails({ medium: 'ink & wash' }), detailsError(/is not a valid medium/));
+});
+
+test('captions can be up to 1024 characters', () => {
+    assert.equal(parseDetails({ caption: ` ${'a'.repeat(1024)} ` }).caption, 'a'.repeat(1024));
+    assert.throws(() => parseDetails({ caption: 'a'.repeat(1025) }), detailsError(/at most 1024 characters/));
+});
+
+test('detailsFromCaption turns hashtags into tags and a medium', () => {
+    assert.deepEqual(detailsFromCaption('Morning hands #Ink #hands #study #INK #pencil'), {
+        caption: 'Morning hands #Ink #hands #study #INK #pencil',
+        tags: ['hands', 'study', 'pencil'],
+        medium: 'ink'
+    });
+    assert.deepEqual(detailsFromCaption(undefined), { caption: null, tags: [], medium: null });
+    assert.deepEqual(detailsFromCaption('   '), { caption: null, tags: [], medium: null });
+});
+
+test('detailsFromCaption never throws, it trims and drops what doesn\'t fit', () => {
+    const long = `#${'x'.repeat(33)} ${Array.from({ length: 12 }, (_, i) => `#t${i}`).join(' ')} ${'a'.repeat(1100)}`;
+    const details = detailsFromCaption(long);
+    assert.equal(details.caption.length, 1024);
+    assert.deepEqual(details.tags, Array.from({ length: 10 }, (_, i) => `t${i}`));
+    assert.equal(details.medium, null);
+});
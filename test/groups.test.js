@@ -0,0 +1,171 @@
+// Leaderboards and the weekly recap scheduler against the real repository
+// (SQLite in memory), a fake clock and a fake Telegram. Recaps go out on
+// Mondays at 09:00; 2024-03-11 is a Monday.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../database');
+const {
+    groupStartParam,
+    parseGroupStartParam,
+    leaderboardKeyboard,
+    getLeaderboard,
+    formatLeaderboard,
+    createRecapScheduler
+} = require('../groups');
+
+let driver;
+
+function fakeClock(iso) {
+    let now = Date.parse(iso);
+    return {
+        now: () => now,
+        set(next) {
+            now = Date.parse(next);
+        }
+    };
+}
+
+// Records messages; chats in `removed` answer like a group the bot left
+function fakeTelegram() {
+    const removed = new Set();
+    const sent = [];
+    return {
+        removed,
+        sent,
+        async sendMessage(chatId, text, extra) {
+            if (removed.has(chatId)) {
+                const err = new Error('Forbidden: bot was kicked from the group chat');
+                err.response = { error_code: 403 };
+                throw err;
+            }
+            sent.push({ chatId, text, extra });
+        }
+    };
+}
+
+function scheduler(telegram, clock, options = {}) {
+    return createRecapScheduler({ telegram, db: database, recapDay: 'mon', recapTime: '09:00', appLink: 'https://t.me/sketchbot/app', clock, ...options });
+}
+
+// A member with one sketch at noon UTC on each day given
+async function addMember(chatId, userId, username, days) {
+    await database.addGroupMember(chatId, userId, username);
+    for (const day of days) {
+        await driver.query(
+            'INSERT INTO uploads (userId, username, fileId, createdAt) VALUES ($1, $2, $3, $4)',
+            [userId, username, `sketches/${userId}-${day}.png`, `${day}T12:00:00.000Z`]
+        );
+    }
+    await database.recomputeStats(userId);
+}
+
+const sentTo = (telegram, chatId) => telegram.sent.filter((message) => message.chatId === chatId);
+
+describe('group leaderboards', () => {
+    before(async () => {
+        const log = console.log;
+        console.log = () => {};
+        try {
+            driver = database.configureDatabase({ driver: 'sqlite', filename: ':memory:' });
+            await database.initDatabase();
+        } finally {
+            console.log = log;
+        }
+    });
+
+    after(() => database.closeDatabase());
+
+    test('ranks by current streak, then sketches this week, then name', async () => {
+        await database.saveGroup(-100, 'Sketchers', '2024-03-09');
+        await addMember(-100, 1, 'cleo', ['2024-03-09', '2024-03-10']);
+        await addMember(-100, 2, 'ada', ['2024-03-06', '2024-03-08', '2024-03-10']);
+        await addMember(-100, 3, 'bo', ['2024-03-09', '2024-03-10']);
+
+        const rows = await getLeaderboard(database, -100, new Date('2024-03-10T20:00:00Z'));
+        assert.deepEqual(rows.map((row) => [row.rank, row.username, row.currentStreak, row.weekCount]), [
+            [1, 'bo', 2, 2],
+            [2, 'cleo', 2, 2],
+            [3, 'ada', 1, 3]
+        ]);
+        assert.equal(formatLeaderboard(rows).split('\n')[0], '🥇 bo — 🔥 2 · 2 this week');
+        assert.match(formatLeaderboard([]), /Nobody has joined yet/);
+    });
+
+    test('posts the recap once, when the recap time has passed', async () => {
+        const telegram = fakeTelegram();
+        const clock = fakeClock('2024-03-11T08:59:00Z');
+        const recaps = scheduler(telegram, clock);
+
+        await recaps.tick();
+        assert.deepEqual(sentTo(telegram, -100), []);
+
+        clock.set('2024-03-11T09:00:00Z');
+        await recaps.tick();
+        await recaps.tick();
+        const messages = sentTo(telegram, -100);
+        assert.equal(messages.length, 1);
+        assert.match(messages[0].text, /^📅 Weekly recap for Sketchers/);
+        assert.match(messages[0].text, /7 sketches this week from 3 artists/);
+        assert.deepEqual(messages[0].extra.reply_markup, leaderboardKeyboard('https://t.me/sketchbot/app', -100));
+        assert.equal((await database.getGroup(-100)).lastRecapDate, '2024-03-11');
+
+        // a restart later that week changes nothing
+        await scheduler(telegram, fakeClock('2024-03-13T10:00:00Z')).tick();
+        assert.equal(sentTo(telegram, -100).length, 1);
+    });
+
+    test('a new group waits for the next recap day', async () => {
+        await database.saveGroup(-200, 'Newcomers', '2024-03-11');
+        await addMember(-200, 4, 'dee', ['2024-03-11']);
+        const telegram = fakeTelegram();
+        await scheduler(telegram, fakeClock('2024-03-11T12:00:00Z')).tick();
+        assert.deepEqual(sentTo(telegram, -200), []);
+        await scheduler(telegram, fakeClock('2024-03-18T09:00:00Z')).tick();
+        assert.equal(sentTo(telegram, -200).length, 1);
+    });
+
+    test('the recap time is read in the configured time zone', async () => {
+        await database.saveGroup(-300, 'Eastern', '2024-03-04');
+        await addMember(-300, 5, 'eve', ['2024-03-10']);
+        const telegram = fakeTelegram();
+        const clock = fakeClock('2024-03-11T12:59:00Z'); // 08:59 EDT
+        const recaps = scheduler(telegram, clock, { timeZone: 'America/New_York' });
+        await recaps.tick();
+        assert.deepEqual(sentTo(telegram, -300), []);
+        clock.set('2024-03-11T13:00:00Z');
+        await recaps.tick();
+        assert.equal(sentTo(telegram, -300).length, 1);
+    });
+
+    test('groups without members get no message but are marked done', async () => {
+        await database.saveGroup(-400, 'Quiet', '2024-03-04');
+        const telegram = fakeTelegram();
+        await scheduler(telegram, fakeClock('2024-03-11T09:00:00Z')).tick();
+        assert.deepEqual(sentTo(telegram, -400), []);
+        assert.equal((await database.getGroup(-400)).lastRecapDate, '2024-03-11');
+    });
+
+    test('a group the bot was removed from is forgotten', async () => {
+        await database.saveGroup(-500, 'Gone', '2024-03-04');
+        await addMember(-500, 6, 'fay', ['2024-03-10']);
+        const telegram = fakeTelegram();
+        telegram.removed.add(-500);
+        const log = console.log;
+        console.log = () => {};
+        try {
+            await scheduler(telegram, fakeClock('2024-03-11T09:00:00Z')).tick();
+        } finally {
+            console.log = log;
+        }
+        assert.equal(await database.getGroup(-500), null);
+        assert.deepEqual(await database.getGroupMembers(-500), []);
+    });
+});
+
+test('group start params round-trip', () => {
+    assert.equal(groupStartParam(-100123), 'group-100123');
+    assert.equal(parseGroupStartParam('group-100123'), -100123);
+    assert.equal(parseGroupStartParam('group'), null);
+    assert.equal(parseGroupStartParam(undefined), null);
+    assert.equal(leaderboardKeyboard(null, -1), undefined);
+});
@@ -0,0 +1,130 @@
+// processImage on images made with sharp. fixtures/sketch.heic is a 64x48
+// HEIC (HEVC) photo, left half red and right half blue; sharp can't write
+// HEIC, so it was encoded once with libheif and kvazaar.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { ImageError, sniffImageType, processImage } = require('../images');
+
+const HEIC = fs.readFileSync(path.join(__dirname, 'fixtures', 'sketch.heic'));
+
+// Left half red, right half blue, so a turned image is easy to spot
+async function halves(width, height, format, options = {}) {
+    const left = await sharp({ create: { width: width / 2, height, channels: 3, background: '#ff0000' } }).png().toBuffer();
+    return sharp({ create: { width, height, channels: 3, background: '#0000ff' } })
+        .composite([{ input: left, left: 0, top: 0 }])[format](options)
+        .toBuffer();
+}
+
+// The RGB value of one pixel
+async function pixel(buffer, x, y) {
+    const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const offset = (y * info.width + x) * 3;
+    return [...data.subarray(offset, offset + 3)];
+}
+
+const isRed = ([r, g, b]) => r > 200 && g < 50 && b < 50;
+const isBlue = ([r, g, b]) => r < 50 && g < 50 && b > 200;
+
+// The ImageError processImage rejects with
+async function imageError(buffer, options) {
+    const err = await processImage(buffer, options).then(() => null, (error) => error);
+    assert.ok(err instanceof ImageError, `expected an ImageError, got ${err}`);
+    return err;
+}
+
+test('sniffImageType goes by the first bytes only', async () => {
+    assert.equal(sniffImageType(await halves(8, 8, 'png')), 'png');
+    assert.equal(sniffImageType(await halves(8, 8, 'jpeg')), 'jpeg');
+    assert.equal(sniffImageType(await halves(8, 8, 'webp')), 'webp');
+    assert.equal(sniffImageType(await halves(8, 8, 'avif')), 'avif');
+    assert.equal(sniffImageType(HEIC), 'heic');
+    assert.equal(sniffImageType(Buffer.from('GIF89a\x01\x00\x01\x00\x00\x00\x00')), null);
+});
+
+test('refuses a file renamed to look like an image', async () => {
+    // what a browser would send for notes.txt renamed to sketch.png
+    const err = await imageError(Buffer.from('just some notes, not a picture'));
+    assert.deepEqual([err.status, err.code], [415, 'UNSUPPORTED_TYPE']);
+});
+
+test('refuses truncated and corrupt images', async () => {
+    const png = await halves(64, 64, 'png');
+    const err = await imageError(png.subarray(0, png.length - 40));
+    assert.deepEqual([err.status, err.code], [422, 'INVALID_IMAGE']);
+
+    const heic = await imageError(HEIC.subarray(0, HEIC.length / 2));
+    assert.deepEqual([heic.status, heic.code], [422, 'INVALID_IMAGE']);
+});
+
+test('stores clean PNG and JPEG byte for byte', async () => {
+    for (const format of ['png', 'jpeg']) {
+        const input = await halves(40, 20, format);
+        const result = await processImage(input, { maxDimension: 100 });
+        assert.equal(result.processed, false);
+        assert.equal(result.buffer, input);
+        assert.deepEqual([result.mimeType, result.width, result.height], [`image/${format}`, 40, 20]);
+    }
+});
+
+test('strips EXIF, including GPS, and other metadata', async () => {
+    const input = await sharp(await halves(40, 20, 'jpeg'))
+        .withExif({
+            IFD0: { Make: 'Phone', Software: 'Camera' },
+            IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '13/1 24/1 0/1' }
+        })
+        .jpeg()
+        .toBuffer();
+    assert.ok((await sharp(input).metadata()).exif);
+
+    const result = await processImage(input, { maxDimension: 100 });
+    assert.equal(result.processed, true);
+    const meta = await sharp(result.buffer).metadata();
+    assert.deepEqual([meta.exif, meta.xmp, meta.iptc, meta.icc], [undefined, undefined, undefined, undefined]);
+    assert.equal(result.buffer.includes('GPS'), false);
+    assert.equal(result.buffer.includes('Phone'), false);
+});
+
+test('applies the EXIF orientation to the pixels', async () => {
+    // stored 40x20 with "rotate 90° clockwise to display"
+    const input = await sharp(await halves(40, 20, 'jpeg')).withMetadata({ orientation: 6 }).jpeg().toBuffer();
+    const result = await processImage(input, { maxDimension: 100 });
+
+    assert.deepEqual([result.width, result.height], [20, 40]);
+    const meta = await sharp(result.buffer).metadata();
+    assert.deepEqual([meta.width, meta.height, meta.orientation], [20, 40, undefined]);
+    // the red left half is now on top
+    assert.ok(isRed(await pixel(result.buffer, 10, 5)));
+    assert.ok(isBlue(await pixel(result.buffer, 10, 35)));
+});
+
+test('scales images down to maxDimension, keeping the aspect ratio', async () => {
+    const result = await processImage(await halves(300, 150, 'png'), { maxDimension: 100 });
+    assert.deepEqual([result.mimeType, result.width, result.height, result.processed], ['image/png', 100, 50, true]);
+    assert.deepEqual(await sharp(result.buffer).metadata().then(({ width, height }) => [width, height]), [100, 50]);
+
+    const small = await processImage(await halves(300, 150, 'png'), { maxDimension: 400 });
+    assert.deepEqual([small.width, small.height], [300, 150]);
+});
+
+test('converts WebP to JPEG, or PNG when it has transparency', async () => {
+    const opaque = await processImage(await halves(40, 20, 'webp', { lossless: true }), { maxDimension: 100 });
+    assert.deepEqual([opaque.mimeType, (await sharp(opaque.buffer).metadata()).format], ['image/jpeg', 'jpeg']);
+
+    const clear = await sharp({ create: { width: 20, height: 20, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).webp().toBuffer();
+    const transparent = await processImage(clear, { maxDimension: 100 });
+    assert.deepEqual([transparent.mimeType, (await sharp(transparent.buffer).metadata()).format], ['image/png', 'png']);
+});
+
+test('converts HEIC to JPEG', async () => {
+    const result = await processImage(HEIC, { maxDimension: 100 });
+    assert.deepEqual([result.mimeType, result.width, result.height, result.processed], ['image/jpeg', 64, 48, true]);
+    assert.equal((await sharp(result.buffer).metadata()).format, 'jpeg');
+    assert.ok(isRed(await pixel(result.buffer, 10, 24)));
+    assert.ok(isBlue(await pixel(result.buffer, 54, 24)));
+
+    const scaled = await processImage(HEIC, { maxDimension: 32 });
+    assert.deepEqual([scaled.width, scaled.height], [32, 24]);
+});
@@ -0,0 +1,160 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../database');
+const { createRateLimiter, rateLimit, createUploadQuota } = require('../limits');
+
+const MINUTE_MS = 60 * 1000;
+
+function fakeClock(ms = Date.parse('2024-03-10T12:00:00Z')) {
+    let now = ms;
+    return {
+        now: () => now,
+        advance(by) {
+            now += by;
+        }
+    };
+}
+
+// Just enough of Express's res for the middleware
+function run(middleware, req) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let nextCalled = false;
+    middleware(req, res, () => {
+        nextCalled = true;
+    });
+    return { res, nextCalled };
+}
+
+test('a window allows limit requests and starts over once it has passed', () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter({ limit: 2, windowMs: MINUTE_MS, clock });
+
+    assert.deepEqual(limiter.hit('a'), { allowed: true, limit: 2, remaining: 1, retryAfterSeconds: 60 });
+    clock.advance(20 * 1000);
+    assert.equal(limiter.hit('a').allowed, true);
+    assert.deepEqual(limiter.hit('a'), { allowed: false, limit: 2, remaining: 0, retryAfterSeconds: 40 });
+
+    // the window is fixed: it ends a minute after its first request
+    clock.advance(39 * 1000);
+    assert.equal(limiter.hit('a').allowed, false);
+    clock.advance(1000);
+    assert.deepEqual(limiter.hit('a'), { allowed: true, limit: 2, remaining: 1, retryAfterSeconds: 60 });
+});
+
+test('keys are counted separately, and reset forgets one', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: MINUTE_MS, clock: fakeClock() });
+    assert.equal(limiter.hit('a').allowed, true);
+    assert.equal(limiter.hit('b').allowed, true);
+    assert.equal(limiter.hit('a').allowed, false);
+    limiter.reset('a');
+    assert.equal(limiter.hit('a').allowed, true);
+    assert.equal(limiter.hit('b').allowed, false);
+});
+
+test('limit 0 turns the limiter off', () => {
+    const limiter = createRateLimiter({ limit: 0, windowMs: MINUTE_MS, clock: fakeClock() });
+    for (let i = 0; i < 5; i++) assert.equal(limiter.hit('a').allowed, true);
+});
+
+test('per-IP and per-user limits count under their own keys', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: MINUTE_MS, clock: fakeClock() });
+    const byIp = rateLimit(limiter, { scope: 'ip', keyOf: (req) => req.ip });
+    const byUser = rateLimit(limiter, { scope: 'user', keyOf: (req) => req.userId });
+
+    // one user behind two addresses, and a second user behind the first
+    assert.equal(run(byIp, { ip: '10.0.0.1', userId: 1 }).nextCalled, true);
+    assert.equal(run(byUser, { ip: '10.0.0.1', userId: 1 }).nextCalled, true);
+    assert.equal(run(byIp, { ip: '10.0.0.2', userId: 1 }).nextCalled, true);
+    assert.equal(run(byUser, { ip: '10.0.0.2', userId: 1 }).nextCalled, false);
+    assert.equal(run(byUser, { ip: '10.0.0.1', userId: 2 }).nextCalled, true);
+    assert.equal(run(byIp, { ip: '10.0.0.1', userId: 2 }).nextCalled, false);
+});
+
+test('requests without a key are let through uncounted', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: MINUTE_MS, clock: fakeClock() });
+    const byUser = rateLimit(limiter, { scope: 'user', keyOf: (req) => req.userId });
+    for (let i = 0; i < 3; i++) assert.equal(run(byUser, {}).nextCalled, true);
+    assert.equal(run(byUser, { userId: 1 }).nextCalled, true);
+});
+
+test('a refused request gets a 429 with Retry-After and a structured body', () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter({ limit: 1, windowMs: MINUTE_MS, clock });
+    const limitWrites = rateLimit(limiter, { scope: 'writes', keyOf: (req) => req.userId });
+
+    run(limitWrites, { userId: 1 });
+    clock.advance(15 * 1000);
+    const { res, nextCalled } = run(limitWrites, { userId: 1 });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 429);
+    assert.deepEqual(res.headers, { 'Retry-After': '45' });
+    assert.deepEqual(res.body, {
+        error: 'Too many requests. Please wait 45 seconds and try again.',
+        code: 'RATE_LIMITED',
+        scope: 'writes',
+        limit: 1,
+        windowSeconds: 60,
+        retryAfterSeconds: 45
+    });
+});
+
+// The quota against the real repository (SQLite in memory)
+let driver;
+
+before(async () => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        driver = database.configureDatabase({ driver: 'sqlite', filename: ':memory:' });
+        await database.initDatabase();
+    } finally {
+        console.log = log;
+    }
+});
+
+after(() => database.closeDatabase());
+
+test('the upload quota counts today\'s sketches in the user\'s time zone', async () => {
+    const quota = createUploadQuota({ perDay: 2, db: database });
+    await database.setUserTimeZone(1, 'Pacific/Kiritimati');
+    // a day and a half ago is yesterday in every time zone
+    await driver.query(
+        'INSERT INTO uploads (userId, username, fileId, createdAt) VALUES ($1, $2, $3, $4)',
+        [1, 'ada', 'sketches/old.png', new Date(Date.now() - 36 * 60 * 60 * 1000).toISOString()]
+    );
+    assert.deepEqual(await quota.check(1), { allowed: true, quota: 2, used: 0 });
+
+    await database.saveUpload(1, 'ada', 'sketches/a.png');
+    await database.saveUpload(1, 'ada', 'sketches/b.png');
+    assert.deepEqual(await quota.check(1), {
+        allowed: false,
+        quota: 2,
+        used: 2,
+        code: 'UPLOAD_QUOTA_EXCEEDED',
+        message: 'You\'ve uploaded 2 sketches today, the daily maximum. Please try again tomorrow.'
+    });
+    // the insert itself refuses a third, whatever check() said earlier
+    assert.equal(await database.saveUpload(1, 'ada', 'sketches/c.png', {}, { maxToday: quota.perDay }), null);
+    assert.equal(await database.countTodayUploads(1), 2);
+});
+
+test('perDay 0 turns the quota off', async () => {
+    const quota = createUploadQuota({ perDay: 0, db: { countTodayUploads: () => assert.fail('not counted') } });
+    assert.deepEqual(await quota.check(1), { allowed: true, quota: 0, used: null });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createStorage } = require('../storage');
+const { ImageError } = require('../images');
+const { createLocalFileClient, createPhotoImporter, describeImage } = require('../photos');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sketch-photos-'));
+test.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+const storage = createStorage({ driver: 'local', local: { rootDir: path.join(rootDir, 'store'), secret: 'test' } });
+
+function image(width, height, format = 'png') {
+    return sharp({ create: { width, height, channels: 3, background: '#336699' } })[format]().toBuffer();
+}
+
+// Stub Telegram: file IDs map to buffers, and every download is recorded
+function stubClient(files) {
+    const downloads = [];
+    return {
+        downloads,
+        async download(fileId) {
+            downloads.push(fileId);
+            if (!(fileId in files)) throw new Error(`no such file ${fileId}`);
+            return files[fileId];
+        }
+    };
+}
+
+test('importPhoto downloads through the client and stores the image', async () => {
+    const png = await image(40, 30);
+    const client = stubClient({ AgAD1: png });
+    const importer = createPhotoImporter({ client, storage, maxDimension: 100 });
+
+    const photo = await importer.importPhoto('AgAD1');
+    assert.deepEqual(client.downloads, ['AgAD1']);
+    const { key, ...meta } = photo;
+    assert.match(key, /^sketches\/[0-9a-f]{64}\.png$/);
+    assert.deepEqual(meta, { mimeType: 'image/png', sizeBytes: png.length, width: 40, height: 30 });
+    // clean PNGs are stored byte for byte
+    assert.deepEqual(await storage.get(key), png);
+});
+
+test('importPhoto stores the same image once', async () => {
+    const png = await image(20, 20);
+    const importer = createPhotoImporter({ client: stubClient({ a: png, b: png }), storage, maxDimension: 100 });
+    assert.equal((await importer.importPhoto('a')).key, (await importer.importPhoto('b')).key);
+});
+
+test('importPhoto scales images down to maxDimension', async () => {
+    const importer = createPhotoImporter({ client: stubClient({ big: await image(300, 150, 'jpeg') }), storage, maxDimension: 100 });
+    const photo = await importer.importPhoto('big');
+    assert.equal(photo.mimeType, 'image/jpeg');
+    assert.deepEqual([photo.width, photo.height], [100, 50]);
+    assert.deepEqual(await describeImage(await storage.get(photo.key)), {
+        mimeType: 'image/jpeg',
+        sizeBytes: photo.sizeBytes,
+        width: 100,
+        height: 50
+    });
+});
+
+test('importPhoto refuses files that are not images', async () => {
+    const importer = createPhotoImporter({ client: stubClient({ text: Buffer.from('not an image at all') }), storage, maxDimension: 100 });
+    await assert.rejects(importer.importPhoto('text'), (err) => err instanceof ImageError && err.status === 415);
+});
+
+test('importPhoto passes on download failures', async () => {
+    const importer = createPhotoImporter({ client: stubClient({}), storage, maxDimension: 100 });
+    await assert.rejects(importer.importPhoto('gone'), /no such file gone/);
+});
+
+test('the local file client reads file IDs from its directory only', async () => {
+    const dir = path.join(rootDir, 'telegram');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'AgAD2'), 'photo bytes');
+    fs.writeFileSync(path.join(rootDir, 'secret'), 'outside');
+
+    const client = createLocalFileClient(dir);
+    assert.equal((await client.download('AgAD2')).toString(), 'photo bytes');
+    await assert.rejects(client.download('../secret'), { code: 'ENOENT' });
+});
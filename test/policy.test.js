@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionPolicy } = require('../policy');
+
+const MINUTE_MS = 60 * 1000;
+
+// Today's sessions per user, and the focus of each user's running timer
+function policy(mode, { sessions = {}, running = {} } = {}) {
+    return createSessionPolicy({
+        mode,
+        minMinutes: 10,
+        db: { getTodaySessions: async (userId) => (sessions[userId] || []).map((minutes) => ({ startedAt: new Date(), focusedMs: minutes * MINUTE_MS })) },
+        runningFocusMs: (userId) => (running[userId] || 0) * MINUTE_MS
+    });
+}
+
+test('free allows uploads without looking at sessions', async () => {
+    const free = createSessionPolicy({
+        mode: 'free',
+        db: { getTodaySessions: () => assert.fail('sessions looked up') },
+        runningFocusMs: () => assert.fail('timer looked up')
+    });
+    assert.deepEqual(await free.check(1), { allowed: true, mode: 'free', minMinutes: 10 });
+});
+
+test('started needs a session today, however short', async () => {
+    const started = policy('started', { sessions: { 2: [0] } });
+    assert.deepEqual(await started.check(1), {
+        allowed: false,
+        mode: 'started',
+        minMinutes: 10,
+        code: 'SESSION_REQUIRED',
+        message: 'Start the focus timer before uploading today\'s sketch.'
+    });
+    assert.deepEqual(await started.check(2), { allowed: true, mode: 'started', minMinutes: 10 });
+});
+
+test('minimum adds up today\'s focus, including a running timer', async () => {
+    const minimum = policy('minimum', {
+        sessions: { 2: [4, 5.99], 3: [6], 4: [10] },
+        running: { 3: 4 }
+    });
+
+    const none = await minimum.check(1);
+    assert.equal(none.code, 'SESSION_REQUIRED');
+
+    // 9.99 minutes are still 9
+    assert.deepEqual(await minimum.check(2), {
+        allowed: false,
+        mode: 'minimum',
+        minMinutes: 10,
+        code: 'SESSION_TOO_SHORT',
+        message: 'Focus for at least 10 minutes today before uploading (9 so far).',
+        focusedMinutes: 9
+    });
+    assert.deepEqual(await minimum.check(3), { allowed: true, mode: 'minimum', minMinutes: 10, focusedMinutes: 10 });
+    assert.deepEqual(await minimum.check(4), { allowed: true, mode: 'minimum', minMinutes: 10, focusedMinutes: 10 });
+});
+
+test('an unknown mode is refused up front', () => {
+    assert.throws(
+        () => createSessionPolicy({ mode: 'strict', db: {}, runningFocusMs: () => 0 }),
+        /Unknown session policy "strict" \(use free, started, minimum\)/
+    );
+});
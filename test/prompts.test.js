@@ -0,0 +1,111 @@
+// The shipped library in data/prompts.json and the daily rotation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { addDays, localDate } = require('../dates');
+const { loadPromptLibrary, createPrompts } = require('../prompts');
+
+const LIBRARY_FILE = path.join(__dirname, '..', 'data', 'prompts.json');
+const library = loadPromptLibrary(LIBRARY_FILE);
+
+// Users in the given time zones, none of them in a challenge
+function prompts(timeZones = {}, lib = library) {
+    return createPrompts({
+        library: lib,
+        db: {
+            getUserTimeZone: async (userId) => timeZones[userId] || 'UTC',
+            getActiveChallenge: async () => null
+        }
+    });
+}
+
+// The prompt ids for `days` days from `from`
+function run(promptsOf, from, days) {
+    return Array.from({ length: days }, (_, i) => promptsOf.promptOfTheDay(addDays(from, i)).id);
+}
+
+test('the shipped library loads, with unique ids', () => {
+    assert.ok(library.prompts.length >= 30);
+    assert.equal(new Set(library.prompts.map((prompt) => prompt.id)).size, library.prompts.length);
+    assert.equal(new Set(library.challenges.map((challenge) => challenge.id)).size, library.challenges.length);
+});
+
+test('loadPromptLibrary refuses a malformed library', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sketch-prompts-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const load = (content) => {
+        const file = path.join(dir, 'prompts.json');
+        fs.writeFileSync(file, JSON.stringify(content));
+        return () => loadPromptLibrary(file);
+    };
+
+    assert.throws(load({ prompts: [] }), /has no prompts/);
+    assert.throws(load({ prompts: [{ id: 'cup' }] }), /every prompt needs an id and text/);
+    assert.throws(load({ prompts: [{ id: 'cup', text: 'A cup' }], challenges: [{ id: 'hands', title: 'Hands', days: 0, prompts: ['A hand'] }] }), /challenge "hands" needs/);
+});
+
+test('everyone gets the same prompt on the same day', async () => {
+    const today = localDate('UTC');
+    const daily = prompts();
+    const seen = new Set();
+    for (const userId of [1, 2, 42, 123456789]) {
+        const { today: day, prompt, challenge } = await daily.getTodayPrompt(userId);
+        assert.equal(day, today);
+        assert.equal(challenge, null);
+        seen.add(prompt.id);
+    }
+    assert.deepEqual([...seen], [daily.promptOfTheDay(today).id]);
+});
+
+test('the day is each user\'s own local day', async () => {
+    const daily = prompts({ 1: 'Pacific/Kiritimati', 2: 'Pacific/Pago_Pago' });
+    for (const [userId, timeZone] of [[1, 'Pacific/Kiritimati'], [2, 'Pacific/Pago_Pago']]) {
+        const { today, prompt } = await daily.getTodayPrompt(userId);
+        assert.equal(today, localDate(timeZone));
+        assert.equal(prompt.id, daily.promptOfTheDay(today).id);
+    }
+});
+
+test('every prompt has its day before any comes back', () => {
+    const n = library.prompts.length;
+    const days = run(prompts(), '2024-02-20', 3 * n);
+
+    for (let i = 0; i + n <= days.length; i++) {
+        assert.equal(new Set(days.slice(i, i + n)).size, n, `a prompt repeats within ${n} days from day ${i}`);
+    }
+    assert.deepEqual(new Set(days), new Set(library.prompts.map((prompt) => prompt.id)));
+    // and the cycle is the same every time
+    assert.deepEqual(days.slice(n, 2 * n), days.slice(0, n));
+});
+
+test('the rotation mixes themes and ignores the order of the file', () => {
+    const days = run(prompts(), '2024-01-01', library.prompts.length);
+    const themes = days.map((id) => library.prompts.find((prompt) => prompt.id === id).tags.join());
+    const sameAsYesterday = themes.filter((theme, i) => i > 0 && theme === themes[i - 1]).length;
+    assert.ok(sameAsYesterday < days.length / 2, `${sameAsYesterday} days share yesterday's theme`);
+
+    const reversed = { ...library, prompts: [...library.prompts].reverse() };
+    assert.deepEqual(run(prompts({}, reversed), '2024-01-01', library.prompts.length), days);
+});
+
+test('a challenge\'s prompt replaces the daily one', async () => {
+    const challenge = library.challenges[0];
+    const daily = createPrompts({
+        library,
+        db: {
+            getUserTimeZone: async () => 'UTC',
+            getActiveChallenge: async () => ({
+                challengeId: challenge.id,
+                startedOn: addDays(localDate('UTC'), -2),
+                today: localDate('UTC'),
+                uploadDays: [addDays(localDate('UTC'), -2), addDays(localDate('UTC'), -1)]
+            })
+        }
+    });
+
+    const { prompt, challenge: progress } = await daily.getTodayPrompt(1);
+    assert.deepEqual([progress.day, progress.completedDays, progress.sketchedToday], [3, 2, false]);
+    assert.deepEqual(prompt, { id: `${challenge.id}-3`, text: challenge.prompts[2 % challenge.prompts.length], tags: [challenge.id] });
+});
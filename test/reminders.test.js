@@ -0,0 +1,167 @@
+// The reminder scheduler against the real repository (SQLite in memory),
+// a fake clock and a fake Telegram. 2024-03-10 is the Sunday New York
+// springs forward, so 19:30 local is 23:30 UTC and 21:00 is 01:00 UTC
+// the next day.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../database');
+const { createReminderScheduler, parseReminderTime } = require('../reminders');
+
+const NY = 'America/New_York';
+
+let driver;
+
+function fakeClock(iso) {
+    let now = Date.parse(iso);
+    return {
+        now: () => now,
+        set(next) {
+            now = Date.parse(next);
+        }
+    };
+}
+
+// Records messages; chats in `blocked` answer like a user who blocked the bot
+function fakeTelegram() {
+    const blocked = new Set();
+    const sent = [];
+    return {
+        blocked,
+        sent,
+        async sendMessage(chatId, text) {
+            if (blocked.has(chatId)) {
+                const err = new Error('Forbidden: bot was blocked by the user');
+                err.response = { error_code: 403 };
+                throw err;
+            }
+            sent.push({ chatId, text });
+        }
+    };
+}
+
+function scheduler(telegram, clock) {
+    return createReminderScheduler({ telegram, db: database, warningTime: '21:00', clock });
+}
+
+// Opt a New York user in, with a sketch at local noon on each day given
+async function addUser(userId, { reminderTime = '19:30', days = [] } = {}) {
+    await database.setUserTimeZone(userId, NY);
+    await database.setReminderTime(userId, reminderTime);
+    for (const day of days) {
+        await driver.query(
+            'INSERT INTO uploads (userId, username, fileId, createdAt) VALUES ($1, $2, $3, $4)',
+            [userId, 'artist', `sketches/${userId}-${day}.png`, `${day}T16:00:00.000Z`]
+        );
+    }
+    await database.recomputeStats(userId);
+}
+
+// Only the messages for one user, so tests can share the database
+const textsFor = (telegram, userId) => telegram.sent.filter((message) => message.chatId === userId).map((message) => message.text);
+
+describe('reminder scheduler', () => {
+    before(async () => {
+        const log = console.log;
+        console.log = () => {};
+        try {
+            driver = database.configureDatabase({ driver: 'sqlite', filename: ':memory:' });
+            await database.initDatabase();
+        } finally {
+            console.log = log;
+        }
+    });
+
+    after(() => database.closeDatabase());
+
+    test('sends the reminder once, at the user\'s local time', async () => {
+        await addUser(1);
+        const telegram = fakeTelegram();
+        const clock = fakeClock('2024-03-10T23:29:00Z');
+        const reminders = scheduler(telegram, clock);
+
+        await reminders.tick();
+        assert.deepEqual(textsFor(telegram, 1), []);
+
+        clock.set('2024-03-10T23:30:00Z');
+        await reminders.tick();
+        await reminders.tick();
+        assert.equal(textsFor(telegram, 1).length, 1);
+        assert.match(textsFor(telegram, 1)[0], /Time to sketch/);
+    });
+
+    test('skips the reminder when the user already sketched today', async () => {
+        await addUser(2, { days: ['2024-03-10'] });
+        const telegram = fakeTelegram();
+        await scheduler(telegram, fakeClock('2024-03-10T23:45:00Z')).tick();
+        assert.deepEqual(textsFor(telegram, 2), []);
+        const [user] = (await database.getReminderUsers()).filter((row) => row.userId === 2);
+        assert.equal(user.lastReminderDate, '2024-03-10');
+    });
+
+    test('warns in the evening when a streak is about to end', async () => {
+        await addUser(3, { days: ['2024-03-08', '2024-03-09'], reminderTime: '08:00' });
+        const telegram = fakeTelegram();
+        const clock = fakeClock('2024-03-11T00:59:00Z');
+        const reminders = scheduler(telegram, clock);
+
+        await reminders.tick();
+        assert.equal(textsFor(telegram, 3).length, 1); // the morning reminder, late
+
+        clock.set('2024-03-11T01:00:00Z');
+        await reminders.tick();
+        assert.equal(textsFor(telegram, 3).length, 2);
+        assert.match(textsFor(telegram, 3)[1], /2-day streak ends at midnight/);
+    });
+
+    test('says a freeze will be used when one is available', async () => {
+        await addUser(4, { days: ['2024-03-03', '2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08', '2024-03-09'] });
+        const telegram = fakeTelegram();
+        await scheduler(telegram, fakeClock('2024-03-11T01:00:00Z')).tick();
+        const texts = textsFor(telegram, 4);
+        assert.equal(texts.length, 2);
+        assert.match(texts[1], /streak freeze will save your 7-day streak at midnight \(1 left\)/);
+    });
+
+    test('sends no warning on a rest day', async () => {
+        await addUser(5, { days: ['2024-03-08', '2024-03-09'] });
+        await database.setRestDays(5, ['sun']);
+        const telegram = fakeTelegram();
+        await scheduler(telegram, fakeClock('2024-03-11T01:00:00Z')).tick();
+        assert.deepEqual(textsFor(telegram, 5).map((text) => /Time to sketch/.test(text)), [true]);
+    });
+
+    test('a restarted scheduler neither repeats nor skips messages', async () => {
+        await addUser(6);
+        const telegram = fakeTelegram();
+        await scheduler(telegram, fakeClock('2024-03-10T23:30:00Z')).tick();
+        // a new process after the reminder, and another after a missed 21:00
+        await scheduler(telegram, fakeClock('2024-03-10T23:40:00Z')).tick();
+        assert.equal(textsFor(telegram, 6).length, 1);
+        await scheduler(telegram, fakeClock('2024-03-11T03:00:00Z')).tick();
+        assert.equal(textsFor(telegram, 6).length, 1); // no streak, so no warning
+        const [user] = (await database.getReminderUsers()).filter((row) => row.userId === 6);
+        assert.equal(user.lastWarningDate, '2024-03-10');
+    });
+
+    test('turns reminders off for a user who blocked the bot', async () => {
+        await addUser(7);
+        const telegram = fakeTelegram();
+        telegram.blocked.add(7);
+        const log = console.log;
+        console.log = () => {};
+        try {
+            await scheduler(telegram, fakeClock('2024-03-10T23:30:00Z')).tick();
+        } finally {
+            console.log = log;
+        }
+        assert.equal(await database.getReminderTime(7), null);
+    });
+});
+
+test('parseReminderTime', () => {
+    assert.equal(parseReminderTime('8:30'), '08:30');
+    assert.equal(parseReminderTime(' 20:05 '), '20:05');
+    assert.equal(parseReminderTime('24:00'), null);
+    assert.equal(parseReminderTime('12:60'), null);
+    assert.equal(parseReminderTime('noon'), null);
+});
@@ -0,0 +1,210 @@
+// database.js against each driver. SQLite runs in memory; Postgres runs
+// when TEST_DATABASE_URL points at a throwaway database (add
+// ?sslmode=disable for a local server without TLS). Every migration is
+// rolled back before and after the run, which drops all tables.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../database');
+
+const DRIVERS = [
+  { driver: 'sqlite', filename: ':memory:' },
+  { driver: 'postgres', connectionString: process.env.TEST_DATABASE_URL }
+];
+
+const NY = 'America/New_York';
+const ALL_MIGRATIONS = Infinity;
+
+for (const config of DRIVERS) {
+  const skip = config.driver === 'postgres' && !config.connectionString && 'TEST_DATABASE_URL is not set';
+
+  describe(`repository on ${config.driver}`, { skip }, () => {
+    let driver;
+
+    // Sketches at the given instants, as if uploaded back then
+    async function addUploads(userId, instants) {
+      for (const [i, instant] of instants.entries()) {
+        await driver.query(
+          'INSERT INTO uploads (userId, username, fileId, createdAt) VALUES ($1, $2, $3, $4)',
+          [userId, 'ada', `sketches/${userId}-${i}.png`, new Date(instant).toISOString()]
+        );
+      }
+      await database.recomputeStats(userId);
+    }
+
+    before(async () => {
+      const log = console.log;
+      console.log = () => {};
+      try {
+        driver = database.configureDatabase(config);
+        await database.rollbackDatabase(ALL_MIGRATIONS);
+        await database.initDatabase();
+      } finally {
+        console.log = log;
+      }
+    });
+
+    after(async () => {
+      assert.equal((await database.rollbackDatabase(ALL_MIGRATIONS)).length, (await database.migrationStatus()).length);
+      await database.closeDatabase();
+    });
+
+    test('saveUpload feeds getUserStats, hasUploadedToday and countTodayUploads', async () => {
+      assert.equal(await database.hasUploadedToday(1), false);
+      const id = await database.saveUpload(1, 'ada', 'sketches/a.png', {
+        source: 'telegram', telegramFileId: 'AgAD', mimeType: 'image/png', sizeBytes: 10, width: 4, height: 3,
+        caption: 'Cat', medium: 'ink', tags: ['cat', 'daily']
+      });
+      assert.equal(typeof id, 'number');
+      assert.equal(await database.hasUploadedToday(1), true);
+      assert.equal(await database.countTodayUploads(1), 1);
+
+      const stats = await database.getUserStats(1);
+      assert.equal(stats.currentStreak, 1);
+      assert.equal(stats.totalUploads, 1);
+      assert.equal(stats.todayUploads, 1);
+      assert.equal(stats.timeZone, 'UTC');
+
+      const sketch = await database.getUpload(1, id);
+      assert.deepEqual(
+        { fileId: sketch.fileId, source: sketch.source, caption: sketch.caption, medium: sketch.medium, tags: sketch.tags },
+        { fileId: 'sketches/a.png', source: 'telegram', caption: 'Cat', medium: 'ink', tags: ['cat', 'daily'] }
+      );
+      assert.equal(await database.getUpload(2, id), null);
+    });
+
+    test('upload days follow the user\'s time zone across spring forward', async () => {
+      await database.setUserTimeZone(2, NY);
+      // 23:30 in New York every evening, before and after 2024-03-10
+      await addUploads(2, ['2024-03-08T04:30:00Z', '2024-03-09T04:30:00Z', '2024-03-10T04:30:00Z', '2024-03-11T03:30:00Z']);
+      const stats = await database.getUserStats(2);
+      assert.equal(stats.longestStreak, 4);
+      assert.equal(stats.lastUploadDate, '2024-03-10');
+    });
+
+    test('the repeated hour after fall back is one local day', async () => {
+      await database.setUserTimeZone(3, NY);
+      await addUploads(3, ['2024-11-03T05:30:00Z', '2024-11-03T06:30:00Z', '2024-11-04T04:59:00Z']);
+      assert.equal((await database.getUserStats(3)).longestStreak, 1);
+      assert.equal((await database.getUserStats(3)).lastUploadDate, '2024-11-03');
+      // the same sketches are two days apart in UTC
+      await database.setUserTimeZone(3, 'UTC');
+      assert.equal((await database.getUserStats(3)).longestStreak, 2);
+    });
+
+    test('a time zone the Mini-App detects never overrides the user\'s choice', async () => {
+      assert.equal(await database.rememberUserTimeZone(4, 'Asia/Tokyo'), 'Asia/Tokyo');
+      assert.equal(await database.rememberUserTimeZone(4, 'Europe/Berlin'), 'Asia/Tokyo');
+      await database.setUserTimeZone(4, 'Europe/Berlin');
+      assert.equal(await database.getUserTimeZone(4), 'Europe/Berlin');
+    });
+
+    test('saveUpload with maxToday lets only that many parallel uploads in', async () => {
+      const ids = await Promise.all([1, 2, 3, 4, 5].map((n) => database.saveUpload(5, 'ada', `sketches/q${n}.png`, {}, { maxToday: 2 })));
+      assert.equal(ids.filter((id) => id !== null).length, 2);
+      assert.equal(await database.countTodayUploads(5), 2);
+    });
+
+    test('timers round-trip with numeric fields', async () => {
+      await database.saveTimer(6, { duration: 25, startTime: 1710000000000, endTime: 1710001500000 });
+      await database.saveTimer(6, { duration: 25, startTime: 1710000000000, endTime: 1710001560000, pausedAt: 1710000600000, pausedMs: 60000, pauseCount: 1 });
+      const timers = (await database.getAllTimers()).filter((timer) => timer.userId === 6);
+      assert.deepEqual(timers, [{
+        userId: 6, duration: 25, startTime: 1710000000000, endTime: 1710001560000,
+        pausedAt: 1710000600000, pausedMs: 60000, pauseCount: 1, sessionId: null
+      }]);
+      await database.deleteTimer(6);
+      assert.equal((await database.getAllTimers()).some((timer) => timer.userId === 6), false);
+    });
+
+    test('importing the same export twice skips what is already there', async () => {
+      const data = {
+        uploads: [{ ref: 1, createdAt: new Date('2024-03-10T12:00:00Z'), source: 'web', fileId: 'sketches/i.png', mimeType: 'image/png', sizeBytes: 1, width: 1, height: 1 }],
+        sessions: [{ startedAt: new Date('2024-03-10T11:30:00Z'), endedAt: new Date('2024-03-10T11:55:00Z'), plannedMinutes: 25, focusedMs: 1500000, pausedMs: 0, pauseCount: 0, outcome: 'completed', uploadRef: 1 }]
+      };
+      const first = await database.importUserData(12, 'ada', data);
+      assert.deepEqual([first.uploads, first.sessions], [{ imported: 1, skipped: 0 }, { imported: 1, skipped: 0 }]);
+      const second = await database.importUserData(12, 'ada', data);
+      assert.deepEqual([second.uploads, second.sessions], [{ imported: 0, skipped: 1 }, { imported: 0, skipped: 1 }]);
+      assert.equal((await database.getUserStats(12)).totalUploads, 1);
+    });
+
+    test('overlapping transactions and queries don\'t see each other\'s writes', async () => {
+      const failing = driver.transaction(async (tx) => {
+        await tx.query('INSERT INTO users (userId, timeZone) VALUES ($1, $2)', [8, 'Asia/Tokyo']);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        throw new Error('rolled back');
+      });
+      const [outcome] = await Promise.allSettled([
+        failing,
+        driver.transaction((tx) => tx.query('INSERT INTO users (userId) VALUES ($1)', [9])),
+        database.setUserTimeZone(10, 'Europe/Paris')
+      ]);
+      assert.equal(outcome.status, 'rejected');
+      assert.equal(await database.getUserTimeZone(8), 'UTC');
+      assert.equal((await driver.query('SELECT userId FROM users WHERE userId=$1', [9])).rows.length, 1);
+      assert.equal(await database.getUserTimeZone(10), 'Europe/Paris');
+    });
+
+    test('deleteUpload unlinks its session and recalculates the streak', async () => {
+      const now = Date.now();
+      await driver.query(
+        'INSERT INTO uploads (userId, username, fileId, createdAt) VALUES ($1, $2, $3, $4)',
+        [13, 'ada', 'sketches/y.png', new Date(now - 24 * 60 * 60 * 1000).toISOString()]
+      );
+      const id = await database.saveUpload(13, 'ada', 'sketches/t.png');
+      const sessionId = await database.startSession(13, now - 30 * 60 * 1000, 25);
+      await database.endSession(sessionId, { outcome: 'completed', focusedMs: 1500000, uploadId: id });
+      assert.equal((await database.getUserStats(13)).currentStreak, 2);
+
+      assert.equal(await database.deleteUpload(14, id), null);
+      assert.equal((await database.deleteUpload(13, id)).fileId, 'sketches/t.png');
+      assert.equal(await database.getUpload(13, id), null);
+      const stats = await database.getUserStats(13);
+      assert.deepEqual([stats.totalUploads, stats.currentStreak, stats.longestStreak, stats.hasUploadedToday], [1, 1, 1, false]);
+      const session = await driver.query('SELECT uploadId, outcome FROM sessions WHERE id=$1', [sessionId]);
+      assert.deepEqual([session.rows[0].uploadid, session.rows[0].outcome], [null, 'completed']);
+    });
+
+    test('deleteUserData removes the user from every table and returns the files', async () => {
+      const id = await database.saveUpload(11, 'ada', 'sketches/z.png');
+      await database.saveUpload(15, 'bo', 'sketches/z.png');
+      const sessionId = await database.startSession(11, Date.now(), 25);
+      await database.endSession(sessionId, { outcome: 'completed', uploadId: id });
+      await database.saveTimer(11, { duration: 25, startTime: Date.now(), endTime: Date.now() + 1500000 });
+      await database.setReminderTime(11, '08:00');
+      await database.startChallenge(11, 'hands');
+      await database.unlockAchievement(11, 'first-sketch');
+      await database.saveGroup(-11, 'Sketchers', '2024-03-11');
+      await database.addGroupMember(-11, 11, 'ada');
+
+      assert.deepEqual(await database.deleteUserData(11), ['sketches/z.png']);
+      for (const table of ['uploads', 'sessions', 'timers', 'stats', 'challenges', 'achievements', 'group_members', 'users']) {
+        const res = await driver.query(`SELECT COUNT(*) AS n FROM ${table} WHERE userId=$1`, [11]);
+        assert.equal(Number(res.rows[0].n), 0, table);
+      }
+      assert.equal((await database.getUserStats(11)).totalUploads, 0);
+      // another user's upload of the same image keeps the file in use
+      assert.equal(await database.isFileReferenced('sketches/z.png'), true);
+      assert.deepEqual(await database.deleteUserData(15), ['sketches/z.png']);
+      assert.equal(await database.isFileReferenced('sketches/z.png'), false);
+      assert.equal((await database.getGroup(-11)).title, 'Sketchers');
+    });
+
+    test('the newest migration rolls back and reapplies without losing uploads', async () => {
+      const before = await database.getUserStats(1);
+      const last = (await database.migrationStatus()).at(-1);
+      assert.deepEqual(await database.rollbackDatabase(), [last.name]);
+      assert.equal((await database.migrationStatus()).at(-1).appliedAt, null);
+
+      const log = console.log;
+      console.log = () => {};
+      try {
+        await database.initDatabase();
+      } finally {
+        console.log = log;
+      }
+      assert.equal((await database.migrationStatus()).every((migration) => migration.appliedAt), true);
+      assert.equal((await database.getUserStats(1)).totalUploads, before.totalUploads);
+    });
+  });
+}
@@ -0,0 +1,110 @@
+// retention.js against the local storage driver in a temporary directory.
+// The referenced fileIds are kept in a Set, and files are backdated to get
+// past the grace period.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { thumbnailKeyFor } = require('../gallery');
+const { createRetention } = require('../retention');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sketch-retention-'));
+test.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+let dirs = 0;
+
+// A fresh store and retention per test; `referenced` stands in for uploads.fileId
+function setup({ graceMs = 24 * HOUR_MS } = {}) {
+    const dir = path.join(rootDir, String(++dirs));
+    const storage = createStorage({ driver: 'local', local: { rootDir: dir, secret: 'test' } });
+    const referenced = new Set();
+    const db = {
+        isFileReferenced: async (fileId) => referenced.has(fileId),
+        getReferencedFileIds: async () => [...referenced]
+    };
+    return { dir, storage, referenced, retention: createRetention({ storage, db, graceMs, intervalMs: 0 }) };
+}
+
+// Store a file and backdate it by ageMs
+async function store(dir, key, ageMs = 0) {
+    const filePath = path.join(dir, key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, key);
+    const modified = new Date(Date.now() - ageMs);
+    fs.utimesSync(filePath, modified, modified);
+}
+
+const keys = async (storage) => (await storage.list()).map((file) => file.key).sort();
+
+test('removeFiles deletes unused images and their thumbnails', async () => {
+    const { dir, storage, retention } = setup();
+    await store(dir, 'sketches/a.png');
+    await store(dir, thumbnailKeyFor('sketches/a.png'));
+
+    assert.equal(await retention.removeFiles(['sketches/a.png', 'sketches/a.png']), 1);
+    assert.deepEqual(await keys(storage), []);
+});
+
+test('removeFiles keeps an image another upload still uses', async () => {
+    const { dir, storage, referenced, retention } = setup();
+    await store(dir, 'sketches/shared.png');
+    referenced.add('sketches/shared.png');
+
+    assert.equal(await retention.removeFiles(['sketches/shared.png']), 0);
+    assert.deepEqual(await keys(storage), ['sketches/shared.png']);
+});
+
+test('removeFiles deletes legacy files on disk and skips bare Telegram file IDs', async () => {
+    const { dir, retention } = setup();
+    const legacy = path.join(dir, 'sketch-1.png');
+    await store(dir, 'sketch-1.png');
+
+    assert.equal(await retention.removeFiles([legacy, 'AgADBAADbqcxG']), 1);
+    assert.equal(fs.existsSync(legacy), false);
+});
+
+test('the sweep removes only old, unused, swept keys', async () => {
+    const { dir, storage, referenced, retention } = setup();
+    await store(dir, 'sketches/used.png', 48 * HOUR_MS);
+    await store(dir, thumbnailKeyFor('sketches/used.png'), 48 * HOUR_MS);
+    await store(dir, 'sketches/orphan.png', 48 * HOUR_MS);
+    await store(dir, thumbnailKeyFor('sketches/orphan.png'), 48 * HOUR_MS);
+    await store(dir, 'sketch-legacy.png', 48 * HOUR_MS);
+    await store(dir, 'sketches/new.png', HOUR_MS);
+    await store(dir, 'exports/archive.zip', 48 * HOUR_MS);
+    referenced.add('sketches/used.png');
+
+    assert.equal(await retention.sweep(), 3);
+    assert.deepEqual(await keys(storage), [
+        'exports/archive.zip',
+        'sketches/new.png',
+        'sketches/used.png',
+        thumbnailKeyFor('sketches/used.png')
+    ].sort());
+});
+
+test('the sweep leaves an old file alone once an upload reuses it', async () => {
+    const { dir, storage, retention } = setup();
+    const backdate = (key) => {
+        const modified = new Date(Date.now() - 48 * HOUR_MS);
+        fs.utimesSync(path.join(dir, key), modified, modified);
+    };
+
+    // left behind by a failed upload two days ago
+    const sketch = Buffer.from('the same sketch');
+    const key = await storage.putContent(sketch, { contentType: 'image/png' });
+    backdate(key);
+
+    // uploaded again: putContent finds the file, and the row isn't saved yet
+    assert.equal(await storage.putContent(sketch, { contentType: 'image/png' }), key);
+    assert.equal(await retention.sweep(), 0);
+    assert.deepEqual(await keys(storage), [key]);
+
+    // if that upload never gets saved either, a later sweep takes it
+    backdate(key);
+    assert.equal(await retention.sweep(), 1);
+});
@@ -0,0 +1,421 @@
+// index.js end to end: the HTTP API and bot updates, against SQLite in
+// memory, local storage in a temporary directory and a stand-in Bot API
+// that records what the bot sends. The session policy is read when
+// index.js loads, so each mode gets a fresh copy of it.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const database = require('../database');
+const { signInitData } = require('../auth');
+
+const BOT_TOKEN = '123456:test-token';
+const MINUTE_MS = 60 * 1000;
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sketch-server-'));
+fs.mkdirSync(path.join(rootDir, 'telegram'));
+
+// Every Bot API call as { method, payload }
+const botApiCalls = [];
+const botApi = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        const method = req.url.split('/').pop();
+        const payload = body ? JSON.parse(body) : {};
+        botApiCalls.push({ method, payload });
+        const result = method === 'getMe'
+            ? { id: 1, is_bot: true, first_name: 'Sketch-Time', username: 'sketchbot' }
+            : method === 'sendMessage'
+                ? { message_id: botApiCalls.length, date: 0, chat: { id: payload.chat_id }, text: payload.text }
+                : true;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ ok: true, result }));
+    });
+});
+
+let driver;
+let png;
+
+before(async () => {
+    await new Promise((resolve) => botApi.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, {
+        BOT_TOKEN,
+        TELEGRAM_API_ROOT: `http://127.0.0.1:${botApi.address().port}`,
+        TELEGRAM_FILES_DIR: path.join(rootDir, 'telegram'),
+        STORAGE_DIR: path.join(rootDir, 'uploads'),
+        SESSION_MIN_MINUTES: '10'
+    });
+
+    png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#336699' } }).png().toBuffer();
+    fs.writeFileSync(path.join(rootDir, 'telegram', 'AgADsketch'), png);
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        driver = database.configureDatabase({ driver: 'sqlite', filename: ':memory:' });
+        await database.initDatabase();
+    } finally {
+        console.log = log;
+    }
+});
+
+after(async () => {
+    await database.closeDatabase();
+    await new Promise((resolve) => botApi.close(resolve));
+    fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+// A fresh index.js with SESSION_POLICY=mode, listening on a free port
+async function startServer(mode) {
+    process.env.SESSION_POLICY = mode;
+    delete require.cache[require.resolve('../index')];
+    const log = console.log;
+    console.log = () => {};
+    let server;
+    try {
+        server = require('../index');
+    } finally {
+        console.log = log;
+    }
+    const listener = await new Promise((resolve) => {
+        const started = server.app.listen(0, '127.0.0.1', () => resolve(started));
+    });
+    return {
+        ...server,
+        url: `http://127.0.0.1:${listener.address().port}`,
+        close() {
+            listener.closeAllConnections();
+            return new Promise((resolve) => listener.close(resolve));
+        }
+    };
+}
+
+// A Mini-App request signed for the user; returns [status, body]
+async function api(server, userId, route, { method = 'POST', json, form } = {}) {
+    const headers = { 'X-Telegram-Init-Data': signInitData({ user: { id: userId, first_name: 'Ada', username: 'ada' } }, BOT_TOKEN) };
+    let body;
+    if (json) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(json);
+    } else if (form) {
+        body = form;
+    }
+    const res = await fetch(`${server.url}${route}`, { method, headers, body });
+    return [res.status, await res.json()];
+}
+
+// fields: other form fields, such as caption, tags and medium
+function uploadSketch(server, userId, fields = {}) {
+    const form = new FormData();
+    form.append('sketch', new Blob([png], { type: 'image/png' }), 'sketch.png');
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    return api(server, userId, '/upload', { form });
+}
+
+let updates = 0;
+
+// A photo sent to the bot in a private chat; returns the bot's reply
+async function sendPhoto(server, userId, caption) {
+    const sent = botApiCalls.length;
+    await server.bot.handleUpdate({
+        update_id: ++updates,
+        message: {
+            message_id: updates,
+            date: Math.floor(Date.now() / 1000),
+            chat: { id: userId, type: 'private', first_name: 'Ada' },
+            from: { id: userId, is_bot: false, first_name: 'Ada', username: 'ada' },
+            photo: [{ file_id: 'AgADsketch', file_unique_id: 'sketch', width: 40, height: 30 }],
+            caption
+        }
+    });
+    const reply = botApiCalls.slice(sent).find((call) => call.method === 'sendMessage' && call.payload.chat_id === userId);
+    return reply && reply.payload.text;
+}
+
+// A finished session today with this much focus
+async function focusFor(userId, minutes) {
+    const sessionId = await database.startSession(userId, Date.now(), 25);
+    await database.endSession(sessionId, { outcome: 'cancelled', focusedMs: minutes * MINUTE_MS });
+}
+
+async function uploadCount(userId) {
+    const res = await driver.query('SELECT COUNT(*) AS n FROM uploads WHERE userId=$1', [userId]);
+    return Number(res.rows[0].n);
+}
+
+describe('SESSION_POLICY=free', () => {
+    let server;
+    before(async () => {
+        server = await startServer('free');
+    });
+    after(() => server.close());
+
+    test('uploads and bot photos need no session', async () => {
+        const [status, body] = await uploadSketch(server, 101);
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+
+        assert.match(await sendPhoto(server, 101), /Great sketch!/);
+        assert.equal(await uploadCount(101), 2);
+    });
+
+    test('/done needs today\'s sketch', async () => {
+        assert.deepEqual(await api(server, 102, '/done'), [400, { error: 'Upload a sketch first!', code: 'UPLOAD_REQUIRED' }]);
+        await uploadSketch(server, 102);
+        const [status, body] = await api(server, 102, '/done');
+        assert.equal(status, 200);
+        assert.equal(body.stats.todayUploads, 1);
+    });
+});
+
+describe('SESSION_POLICY=started', () => {
+    let server;
+    before(async () => {
+        server = await startServer('started');
+    });
+    after(() => server.close());
+
+    test('every entry point refuses without a session today', async () => {
+        const refusal = {
+            error: 'Start the focus timer before uploading today\'s sketch.',
+            code: 'SESSION_REQUIRED',
+            policy: 'started',
+            minMinutes: 10
+        };
+        assert.deepEqual(await uploadSketch(server, 201), [403, refusal]);
+        assert.deepEqual(await api(server, 201, '/done'), [403, refusal]);
+        assert.match(await sendPhoto(server, 201), /^⏱️ Start the focus timer before uploading today's sketch\./);
+        assert.equal(await uploadCount(201), 0);
+    });
+
+    test('a running timer lets every entry point through', async () => {
+        assert.equal((await api(server, 202, '/start-timer', { json: { duration: 25 } }))[0], 200);
+        assert.equal((await uploadSketch(server, 202))[0], 200);
+        assert.match(await sendPhoto(server, 202), /Great sketch!/);
+        assert.equal((await api(server, 202, '/done'))[0], 200);
+    });
+
+    test('a session that already ended today counts too', async () => {
+        await focusFor(203, 0);
+        assert.equal((await uploadSketch(server, 203))[0], 200);
+        assert.match(await sendPhoto(server, 203), /Great sketch!/);
+        assert.equal((await api(server, 203, '/done'))[0], 200);
+    });
+});
+
+describe('SESSION_POLICY=minimum', () => {
+    let server;
+    before(async () => {
+        server = await startServer('minimum');
+    });
+    after(() => server.close());
+
+    test('every entry point refuses without a session today', async () => {
+        assert.equal((await uploadSketch(server, 301))[1].code, 'SESSION_REQUIRED');
+        assert.equal((await api(server, 301, '/done'))[1].code, 'SESSION_REQUIRED');
+        assert.match(await sendPhoto(server, 301), /^⏱️ Start the focus timer/);
+    });
+
+    test('every entry point refuses until today\'s focus reaches SESSION_MIN_MINUTES', async () => {
+        await focusFor(302, 5);
+        await focusFor(302, 4);
+        const refusal = {
+            error: 'Focus for at least 10 minutes today before uploading (9 so far).',
+            code: 'SESSION_TOO_SHORT',
+            policy: 'minimum',
+            minMinutes: 10,
+            focusedMinutes: 9
+        };
+        assert.deepEqual(await uploadSketch(server, 302), [403, refusal]);
+        assert.deepEqual(await api(server, 302, '/done'), [403, refusal]);
+        assert.match(await sendPhoto(server, 302), /^⏱️ Focus for at least 10 minutes today before uploading \(9 so far\)\./);
+        assert.equal(await uploadCount(302), 0);
+
+        await focusFor(302, 1);
+        assert.equal((await uploadSketch(server, 302))[0], 200);
+        assert.match(await sendPhoto(server, 302), /Great sketch!/);
+        assert.equal((await api(server, 302, '/done'))[0], 200);
+    });
+});
+
+// Resolves once check() returns something truthy, polling every 10 ms
+async function waitFor(check, timeoutMs = 2000) {
+    const until = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > until) assert.fail('timed out waiting');
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function sessionsOf(userId) {
+    const res = await driver.query('SELECT outcome, focusedMs, pausedMs, pauseCount, uploadId FROM sessions WHERE userId=$1 ORDER BY id', [userId]);
+    return res.rows.map((row) => ({
+        outcome: row.outcome,
+        focusedMs: Number(row.focusedms),
+        pausedMs: Number(row.pausedms),
+        pauseCount: Number(row.pausecount),
+        uploadId: row.uploadid
+    }));
+}
+
+// restoreTimers(), without its log line
+async function restore(server) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await server.restoreTimers();
+    } finally {
+        console.log = log;
+    }
+}
+
+async function savedTimer(userId) {
+    const res = await driver.query('SELECT * FROM timers WHERE userId=$1', [userId]);
+    return res.rows[0] || null;
+}
+
+function messagesTo(userId) {
+    return botApiCalls
+        .filter((call) => call.method === 'sendMessage' && call.payload.chat_id === userId)
+        .map((call) => call.payload.text);
+}
+
+describe('timers', () => {
+    let server;
+    before(async () => {
+        server = await startServer('free');
+    });
+    after(() => server.close());
+
+    test('a pause holds the remaining time and resume pushes the end back', async () => {
+        const [, started] = await api(server, 401, '/start-timer', { json: { duration: 1 } });
+
+        const [, paused] = await api(server, 401, '/pause-timer');
+        assert.equal(paused.paused, true);
+        assert.equal(Number((await savedTimer(401)).pausecount), 1);
+        await sleep(50);
+        const [, state] = await api(server, 401, '/timer/401', { method: 'GET' });
+        assert.deepEqual([state.paused, state.remainingMs], [true, paused.remainingMs]);
+
+        const [, resumed] = await api(server, 401, '/resume-timer');
+        assert.equal(resumed.paused, false);
+        assert.ok(resumed.pausedMs >= 50);
+        assert.equal(resumed.endTime, started.endTime + resumed.pausedMs);
+        assert.equal(Number((await savedTimer(401)).endtime), resumed.endTime);
+
+        assert.deepEqual(await api(server, 401, '/cancel-timer'), [200, { success: true, cancelled: true, message: 'Timer cancelled' }]);
+        const [session] = await sessionsOf(401);
+        assert.deepEqual([session.outcome, session.pausedMs, session.pauseCount], ['cancelled', resumed.pausedMs, 1]);
+        assert.equal(await savedTimer(401), null);
+        assert.deepEqual(messagesTo(401), []);
+    });
+
+    test('an upload ends a running timer early, keeping the focus so far', async () => {
+        await api(server, 402, '/start-timer', { json: { duration: 25 } });
+        await sleep(50);
+        const [status, body] = await uploadSketch(server, 402);
+        assert.equal(status, 200);
+
+        const [session] = await sessionsOf(402);
+        assert.equal(session.outcome, 'uploaded');
+        assert.ok(session.focusedMs >= 50);
+        assert.ok(session.uploadId);
+        assert.deepEqual([body.stats.sessionCount, body.stats.completedSessions], [1, 0]);
+        assert.deepEqual((await api(server, 402, '/timer/402', { method: 'GET' }))[1], { hasActiveTimer: false });
+        assert.equal(await savedTimer(402), null);
+    });
+
+    test('a timer that runs out sends its message and completes its session', async () => {
+        // restored a moment before it ends
+        const startTime = Date.now() - MINUTE_MS + 50;
+        const sessionId = await database.startSession(403, startTime, 1);
+        await database.saveTimer(403, { duration: 1, startTime, endTime: startTime + MINUTE_MS, sessionId });
+        await restore(server);
+        assert.deepEqual(messagesTo(403), []);
+
+        await waitFor(async () => !(await savedTimer(403)));
+        assert.deepEqual(messagesTo(403), ['⏰ Your 1-minute session finished! Great job! 🎨']);
+        const [session] = await sessionsOf(403);
+        assert.deepEqual([session.outcome, session.focusedMs], ['completed', MINUTE_MS]);
+    });
+
+    test('restoring keeps paused timers and sorts out the ones that ended while down', async () => {
+        const now = Date.now();
+        const timer = async (userId, fields) => {
+            const startTime = fields.endTime - 25 * MINUTE_MS;
+            const sessionId = await database.startSession(userId, startTime, 25);
+            await database.saveTimer(userId, { duration: 25, startTime, sessionId, ...fields });
+        };
+        // paused with 10 minutes left, ended 10 minutes ago, ended 2 hours ago
+        await timer(404, { endTime: now - 5 * MINUTE_MS, pausedAt: now - 15 * MINUTE_MS, pauseCount: 1 });
+        await timer(405, { endTime: now - 10 * MINUTE_MS });
+        await timer(406, { endTime: now - 120 * MINUTE_MS });
+
+        await restore(server);
+
+        // within MISSED_TIMER_GRACE_MINUTES (60): announced late
+        await waitFor(async () => !(await savedTimer(405)));
+        assert.deepEqual(messagesTo(405), ['⏰ Your 25-minute session finished while we were offline. Great job! 🎨']);
+        assert.deepEqual((await sessionsOf(405)).map((session) => [session.outcome, session.focusedMs]), [['completed', 25 * MINUTE_MS]]);
+
+        // beyond it: dropped as missed, without a message
+        assert.equal(await savedTimer(406), null);
+        assert.deepEqual(messagesTo(406), []);
+        assert.deepEqual((await sessionsOf(406)).map((session) => [session.outcome, session.focusedMs]), [['expired', 25 * MINUTE_MS]]);
+
+        // paused: still waiting to be resumed
+        const [, state] = await api(server, 404, '/timer/404', { method: 'GET' });
+        assert.deepEqual([state.paused, state.remainingMs], [true, 10 * MINUTE_MS]);
+        assert.ok(await savedTimer(404));
+        assert.deepEqual(messagesTo(404), []);
+        assert.equal((await api(server, 404, '/cancel-timer'))[1].cancelled, true);
+    });
+});
+
+describe('sketch details', () => {
+    let server;
+    before(async () => {
+        server = await startServer('free');
+    });
+    after(() => server.close());
+
+    const get = (userId, route) => api(server, userId, route, { method: 'GET' });
+
+    test('tags and medium are stored lowercased, from the Mini-App and from captions', async () => {
+        assert.equal((await uploadSketch(server, 501, { caption: 'Hands', tags: '#Hands, Study', medium: 'Ink' }))[0], 200);
+        assert.match(await sendPhoto(server, 501, 'Morning warm-up #Ink #Portrait'), /🏷️ ink · #portrait/);
+
+        const [, { sketches }] = await get(501, '/sketches?tag=%23Portrait');
+        assert.deepEqual(sketches.map(({ caption, medium, tags }) => ({ caption, medium, tags })), [
+            { caption: 'Morning warm-up #Ink #Portrait', medium: 'ink', tags: ['portrait'] }
+        ]);
+        assert.equal((await get(501, '/sketches?medium=INK'))[1].sketches.length, 2);
+        assert.deepEqual((await get(501, '/sketches?tag=hands'))[1].sketches[0].tags, ['hands', 'study']);
+    });
+
+    test('a bad tag, medium or caption gets a 400', async () => {
+        const [status, body] = await uploadSketch(server, 502, { tags: 'hands ink!' });
+        assert.deepEqual([status, body.code], [400, 'INVALID_DETAILS']);
+        assert.match(body.error, /"ink!" is not a valid tag/);
+        assert.equal(await uploadCount(502), 0);
+
+        assert.equal((await get(502, '/sketches?tag=a%23b'))[0], 400);
+        assert.equal((await get(502, '/history/502?medium=ink%26wash'))[0], 400);
+
+        const [, uploaded] = await uploadSketch(server, 502, { caption: 'a'.repeat(1024) });
+        assert.equal(uploaded.success, true);
+        const [, { sketches: [sketch] }] = await get(502, '/sketches');
+        const [tooLong, refused] = await api(server, 502, `/sketches/${sketch.id}`, { method: 'PATCH', json: { caption: 'a'.repeat(1025) } });
+        assert.deepEqual([tooLong, refused], [400, { error: 'Captions can be at most 1024 characters', code: 'INVALID_DETAILS' }]);
+    });
+});
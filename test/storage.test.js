@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const { createStorage, storageConfigFromEnv } = require('../storage');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sketch-storage-'));
+test.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+// A bucket in memory behind just enough of the S3 REST API for
+// storage/s3.js: path-style PUT, CopyObject, GET, HEAD, DELETE and
+// ListObjectsV2
+function startS3StandIn() {
+    const objects = new Map();
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [, bucket, ...rest] = url.pathname.split('/');
+        const key = decodeURIComponent(rest.join('/'));
+        const body = [];
+        req.on('data', (chunk) => body.push(chunk));
+        req.on('end', () => {
+            if (bucket !== 'sketches') {
+                res.writeHead(404).end();
+            } else if (req.method === 'PUT' && req.headers['x-amz-copy-source']) {
+                const source = objects.get(decodeURIComponent(req.headers['x-amz-copy-source'].replace(/^\/?sketches\//, '')));
+                if (!source) {
+                    res.writeHead(404, { 'Content-Type': 'application/xml' });
+                    return res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code></Error>');
+                }
+                objects.set(key, { ...source, type: req.headers['content-type'], modified: new Date() });
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                res.end(`<?xml version="1.0" encoding="UTF-8"?><CopyObjectResult><ETag>"1"</ETag><LastModified>${new Date().toISOString()}</LastModified></CopyObjectResult>`);
+            } else if (req.method === 'PUT') {
+                objects.set(key, { data: Buffer.concat(body), type: req.headers['content-type'], modified: new Date() });
+                res.writeHead(200, { ETag: '"1"' }).end();
+            } else if ((req.method === 'GET' || req.method === 'HEAD') && key) {
+                const object = objects.get(key);
+                if (!object) return res.writeHead(404).end();
+                res.writeHead(200, { 'Content-Type': object.type, 'Content-Length': object.data.length });
+                res.end(req.method === 'GET' ? object.data : undefined);
+            } else if (req.method === 'DELETE') {
+                objects.delete(key);
+                res.writeHead(204).end();
+            } else if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+                const contents = [...objects].map(([name, object]) =>
+                    `<Contents><Key>${name}</Key><LastModified>${object.modified.toISOString()}</LastModified></Contents>`);
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>sketches</Name><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+            } else {
+                res.writeHead(400).end();
+            }
+        });
+    });
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ server, objects })));
+}
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+test('putContent names files by content hash and stores each once', async () => {
+    const storage = createStorage({ driver: 'local', local: { rootDir: path.join(rootDir, 'hash'), secret: 'test' } });
+    const key = await storage.putContent(Buffer.from('sketch'), { contentType: 'image/png' });
+    assert.equal(key, `sketches/${sha256('sketch')}.png`);
+    assert.equal(await storage.putContent(Buffer.from('sketch'), { contentType: 'image/png' }), key);
+    assert.equal((await storage.list()).length, 1);
+    assert.equal(await storage.putContent(Buffer.from('x'), { contentType: 'image/jpeg', prefix: 'thumbs' }), `thumbs/${sha256('x')}.jpg`);
+});
+
+test('putContent touches a file it finds already stored', async () => {
+    const storage = createStorage({ driver: 'local', local: { rootDir: path.join(rootDir, 'touch'), secret: 'test' } });
+    const key = await storage.putContent(Buffer.from('old sketch'), { contentType: 'image/png' });
+    const longAgo = new Date('2024-01-01T00:00:00Z');
+    fs.utimesSync(path.join(rootDir, 'touch', key), longAgo, longAgo);
+
+    await storage.putContent(Buffer.from('old sketch'), { contentType: 'image/png' });
+    const [file] = await storage.list();
+    assert.ok(file.modifiedAt > longAgo);
+    assert.equal(await storage.driver.touch('sketches/missing.png'), false);
+});
+
+test('the local driver stores, lists and deletes files under rootDir', async () => {
+    const storage = createStorage({ driver: 'local', local: { rootDir: path.join(rootDir, 'local'), secret: 'test' } });
+    assert.deepEqual(await storage.list(), []);
+
+    const key = await storage.putContent(Buffer.from('ink'), { contentType: 'image/webp' });
+    assert.equal(await storage.exists(key), true);
+    assert.equal((await storage.get(key)).toString(), 'ink');
+    assert.deepEqual((await storage.list()).map((file) => file.key), [key]);
+
+    await storage.delete(key);
+    assert.equal(await storage.exists(key), false);
+    await assert.rejects(storage.get('../outside.png'), /Invalid storage key/);
+});
+
+test('local read URLs are signed and expire', async () => {
+    const storage = createStorage({ driver: 'local', urlTtlSeconds: 60, local: { rootDir: path.join(rootDir, 'urls'), secret: 'test' } });
+    const key = await storage.putContent(Buffer.from('pencil'), { contentType: 'image/png' });
+    const url = new URL(await storage.getReadUrl(key), 'http://localhost');
+    assert.equal(url.pathname, `/files/${key}`);
+
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+    const { driver } = storage;
+    assert.equal(driver.verifyReadUrl(key, expires, signature), true);
+    assert.equal(driver.verifyReadUrl(`sketches/${sha256('other')}.png`, expires, signature), false);
+    assert.equal(driver.verifyReadUrl(key, String(Number(expires) + 1), signature), false);
+    assert.equal(driver.verifyReadUrl(key, expires, signature.replace(/^./, (c) => (c === '0' ? '1' : '0'))), false);
+    assert.equal(driver.verifyReadUrl(key, expires, undefined), false);
+
+    // a URL signed with another secret, and one that has expired
+    const other = createStorage({ driver: 'local', local: { rootDir: path.join(rootDir, 'urls'), secret: 'other' } });
+    const forged = new URL(await other.getReadUrl(key), 'http://localhost');
+    assert.equal(driver.verifyReadUrl(key, forged.searchParams.get('expires'), forged.searchParams.get('signature')), false);
+    const expired = createStorage({ driver: 'local', urlTtlSeconds: -1, local: { rootDir: path.join(rootDir, 'urls'), secret: 'test' } });
+    const old = new URL(await expired.getReadUrl(key), 'http://localhost');
+    assert.equal(driver.verifyReadUrl(key, old.searchParams.get('expires'), old.searchParams.get('signature')), false);
+});
+
+test('the S3 driver works against an S3-compatible server', async (t) => {
+    const { server, objects } = await startS3StandIn();
+    t.after(() => server.close());
+
+    const storage = createStorage(storageConfigFromEnv({
+        STORAGE_DRIVER: 's3',
+        S3_BUCKET: 'sketches',
+        S3_ENDPOINT: `http://127.0.0.1:${server.address().port}`,
+        S3_ACCESS_KEY_ID: 'test',
+        S3_SECRET_ACCESS_KEY: 'test',
+        S3_FORCE_PATH_STYLE: 'true'
+    }, { defaultDir: rootDir, fallbackSecret: 'test' }));
+
+    const key = await storage.putContent(Buffer.from('charcoal'), { contentType: 'image/png' });
+    assert.equal(key, `sketches/${sha256('charcoal')}.png`);
+    assert.equal(objects.get(key).type, 'image/png');
+    assert.equal(await storage.exists(key), true);
+    assert.equal((await storage.get(key)).toString(), 'charcoal');
+    assert.deepEqual((await storage.list()).map((file) => file.key), [key]);
+
+    objects.get(key).modified = new Date('2024-01-01T00:00:00Z');
+    assert.equal(await storage.putContent(Buffer.from('charcoal'), { contentType: 'image/png' }), key);
+    assert.ok(objects.get(key).modified > new Date('2024-01-01T00:00:00Z'));
+    assert.deepEqual([objects.get(key).data.toString(), objects.get(key).type], ['charcoal', 'image/png']);
+    assert.equal(await storage.driver.touch('sketches/missing.png', 'image/png'), false);
+
+    const url = new URL(await storage.getReadUrl(key));
+    assert.equal(url.pathname, `/sketches/${key}`);
+    assert.equal(url.searchParams.get('X-Amz-Expires'), '3600');
+    assert.ok(url.searchParams.get('X-Amz-Signature'));
+
+    await storage.delete(key);
+    assert.equal(await storage.exists(key), false);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { localDate, addDays } = require('../dates');
+const { computeStreaks, parseRestDays } = require('../streaks');
+
+const NY = 'America/New_York';
+
+// Distinct local days of the given instants, in order, as database.js
+// derives them from the uploads table
+function uploadDays(timeZone, instants) {
+  return [...new Set(instants.map((instant) => localDate(timeZone, new Date(instant))))].sort();
+}
+
+// n consecutive days ending on last
+function dayRange(last, n) {
+  return Array.from({ length: n }, (_, i) => addDays(last, i - n + 1));
+}
+
+test('a late-evening sketch every day keeps the streak across spring forward', () => {
+  // 23:30 local: 04:30 UTC before the change, 03:30 UTC after it
+  const days = uploadDays(NY, [
+    '2024-03-08T04:30:00Z',
+    '2024-03-09T04:30:00Z',
+    '2024-03-10T04:30:00Z',
+    '2024-03-11T03:30:00Z',
+    '2024-03-12T03:30:00Z'
+  ]);
+  assert.deepEqual(days, ['2024-03-07', '2024-03-08', '2024-03-09', '2024-03-10', '2024-03-11']);
+  const streaks = computeStreaks(days, '2024-03-11');
+  assert.equal(streaks.currentStreak, 5);
+  assert.equal(streaks.longestStreak, 5);
+  assert.equal(streaks.lastUploadDate, '2024-03-11');
+});
+
+test('two sketches in the repeated hour after fall back are one day', () => {
+  const days = uploadDays(NY, ['2024-11-03T05:30:00Z', '2024-11-03T06:30:00Z', '2024-11-04T04:30:00Z']);
+  assert.deepEqual(days, ['2024-11-03']);
+  assert.equal(computeStreaks(days, '2024-11-03').currentStreak, 1);
+});
+
+test('an early-morning sketch in UTC counts for the previous day in New York', () => {
+  const days = uploadDays(NY, ['2024-11-02T15:00:00Z', '2024-11-03T03:00:00Z']);
+  assert.deepEqual(days, ['2024-11-02']);
+  // nothing on the 3rd yet, but the day isn't over
+  assert.equal(computeStreaks(days, '2024-11-03').currentStreak, 1);
+  assert.equal(computeStreaks(days, '2024-11-04', { freezeEvery: 0 }).currentStreak, 0);
+});
+
+test('freezes are earned every freezeEvery days and cover a missed day', () => {
+  const days = dayRange('2024-03-07', 7).concat(['2024-03-09']);
+  const streaks = computeStreaks(days, '2024-03-09');
+  assert.deepEqual(streaks.frozenDays, ['2024-03-08']);
+  assert.equal(streaks.currentStreak, 8);
+  assert.equal(streaks.freezesAvailable, 0);
+});
+
+test('a missed day without a freeze resets the streak', () => {
+  const days = dayRange('2024-03-05', 5).concat(['2024-03-07']);
+  const streaks = computeStreaks(days, '2024-03-07');
+  assert.equal(streaks.currentStreak, 1);
+  assert.equal(streaks.longestStreak, 5);
+});
+
+test('freezes are capped at maxFreezes', () => {
+  const days = dayRange('2024-03-31', 31);
+  assert.equal(computeStreaks(days, '2024-03-31').freezesAvailable, 2);
+  assert.equal(computeStreaks(days, '2024-03-31', { maxFreezes: 4 }).freezesAvailable, 4);
+});
+
+test('rest days neither break nor extend a streak', () => {
+  // 2024-03-09 and 03-10 are Saturday and Sunday
+  const days = ['2024-03-07', '2024-03-08', '2024-03-11'];
+  const streaks = computeStreaks(days, '2024-03-11', { restDays: ['sat', 'sun'], freezeEvery: 0 });
+  assert.equal(streaks.currentStreak, 3);
+  assert.deepEqual(streaks.frozenDays, []);
+});
+
+test('uploads after today (after a move west) still count', () => {
+  const streaks = computeStreaks(['2024-03-10', '2024-03-11'], '2024-03-10');
+  assert.equal(streaks.currentStreak, 2);
+  assert.equal(streaks.lastUploadDate, '2024-03-11');
+});
+
+test('no uploads means no streak', () => {
+  assert.deepEqual(computeStreaks([], '2024-03-10'), {
+    currentStreak: 0,
+    longestStreak: 0,
+    lastUploadDate: null,
+    freezesAvailable: 0,
+    frozenDays: []
+  });
+});
+
+test('parseRestDays', () => {
+  assert.deepEqual(parseRestDays('sun,sat'), ['sat', 'sun']);
+  assert.deepEqual(parseRestDays('Saturday  Wed'), ['wed', 'sat']);
+  assert.deepEqual(parseRestDays('off'), []);
+  assert.deepEqual(parseRestDays('none'), []);
+  assert.equal(parseRestDays('sa'), null);
+  assert.equal(parseRestDays('someday'), null);
+});